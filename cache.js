@@ -0,0 +1,244 @@
+const fs                    = require('fs');
+const path                  = require('path');
+const util                  = require('util');
+const { URL }               = require('url');
+const config                = require('config');
+const {
+    NETWORK_METHODS,
+    getEntryPaths,
+    isExpired,
+    listCacheEntries,
+    removeCacheEntry
+} = require('./lib/http-cache');
+
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+
+const TWENTY_FOUR_HOURS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: node cache.js <command> [options]
+
+Commands:
+  list                  List the cached responses.
+  inspect <url>         Show the cached responses for a URL, for every method or --method.
+  invalidate            Remove the cached responses matching --host and/or --pattern.
+  prune                 Remove the expired responses.
+
+Options:
+  --host <host>         Only the responses of a host, e.g. colo.cancer.gov or localhost:8080.
+  --pattern <regex>     Only the responses whose path and query string match.
+  --method <method>     The method of the response to inspect: ${Object.keys(NETWORK_METHODS).join(', ')}.
+  --cache-path <path>   The cache folder. Defaults to the fetch transformer's cachePath.
+  --duration <ms>       How long responses are fresh for. Defaults to the fetch transformer's cacheDuration.
+`;
+
+/**
+ * Writes a line of command output.
+ *
+ * @param {string} line the line
+ */
+function writeLine(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Writes a line to the error output.
+ *
+ * @param {string} line the line
+ */
+function writeError(line) {
+    process.stderr.write(`${line}\n`);
+}
+
+/**
+ * Parses the command line into the command, its arguments and the options.
+ *
+ * @param {Array} argv the command line arguments
+ * @returns {Object} { command, args, options }
+ */
+function parseArgs(argv) {
+    const args = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        } else {
+            args.push(argv[i]);
+        }
+    }
+
+    return {
+        command: args.shift(),
+        args,
+        options
+    };
+}
+
+/**
+ * Gets the cache settings of the fetch transformer, so the commands
+ * work on the cache the comparison uses.
+ *
+ * @returns {Object} { cachePath, cacheDuration }
+ */
+function getCacheConfig() {
+    const transformers = config.has("pipeline.transformers") ? config.get("pipeline.transformers") : [];
+    const fetchTransformer = transformers.find(transformer => transformer.module.endsWith('fetch-transformer'));
+    const fetchConfig = (fetchTransformer && fetchTransformer.config) || {};
+
+    return {
+        cachePath: fetchConfig.cachePath || path.join(__dirname, 'html-cache'),
+        cacheDuration: (fetchConfig.cacheDuration !== undefined) ? fetchConfig.cacheDuration : TWENTY_FOUR_HOURS
+    };
+}
+
+/**
+ * Gets the cache entries matching the host and pattern options.
+ *
+ * @param {string} cachePath the cache folder
+ * @param {Object} options the command line options
+ * @returns {Array} the entries, each { entryPath, bodyPath, entry }
+ */
+async function getMatchingEntries(cachePath, { host, pattern }) {
+    const entries = await listCacheEntries(cachePath, host);
+
+    if (!pattern) {
+        return entries;
+    }
+
+    const regex = new RegExp(pattern);
+    return entries.filter(({ entry }) => {
+        const url = new URL(entry.url);
+        return regex.test(url.pathname + url.search);
+    });
+}
+
+/**
+ * Lists the cached responses.
+ */
+async function list(cachePath, cacheDuration, options) {
+    const entries = await getMatchingEntries(cachePath, options);
+
+    entries
+        .sort((a, b) => a.entry.url.localeCompare(b.entry.url) || a.entry.method.localeCompare(b.entry.method))
+        .forEach(({ entry }) => {
+            const state = isExpired(entry, cacheDuration) ? 'expired' : 'fresh';
+            writeLine(`${new Date(entry.cachedAt).toISOString()}\t${state}\t${entry.method}\t${entry.status}\t${entry.url}`);
+        });
+
+    writeLine(`${entries.length} cached responses`);
+}
+
+/**
+ * Shows the cached responses for a URL.
+ */
+async function inspect(cachePath, cacheDuration, url, { method }) {
+    if (!url) {
+        throw new Error("You must supply the URL to inspect");
+    }
+    if (method && !NETWORK_METHODS[method]) {
+        throw new Error(`Unknown method ${method}`);
+    }
+
+    const methods = method ? [ method ] : Object.keys(NETWORK_METHODS);
+    let found = 0;
+
+    for (const candidate of methods) {
+        const { entryPath, bodyPath } = getEntryPaths(cachePath, candidate, url);
+
+        let entry;
+        try {
+            entry = JSON.parse(await readFileAsync(entryPath, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                continue;
+            }
+            throw err;
+        }
+
+        found++;
+        const bodySize = entry.bodyType ? (await statAsync(bodyPath)).size : 0;
+
+        writeLine(JSON.stringify({
+            ...entry,
+            cachedAt: new Date(entry.cachedAt).toISOString(),
+            expired: isExpired(entry, cacheDuration),
+            entryPath,
+            bodyPath: entry.bodyType ? bodyPath : undefined,
+            bodySize
+        }, null, 2));
+    }
+
+    if (!found) {
+        writeLine(`${url} is not cached`);
+    }
+}
+
+/**
+ * Removes the cached responses matching the host and pattern options.
+ */
+async function invalidate(cachePath, cacheDuration, options) {
+    if (!options.host && !options.pattern) {
+        throw new Error("You must supply a --host or --pattern to invalidate");
+    }
+
+    const entries = await getMatchingEntries(cachePath, options);
+    for (const cacheEntry of entries) {
+        await removeCacheEntry(cacheEntry);
+    }
+
+    writeLine(`Removed ${entries.length} cached responses`);
+}
+
+/**
+ * Removes the expired responses.
+ */
+async function prune(cachePath, cacheDuration, options) {
+    const entries = (await getMatchingEntries(cachePath, options))
+                        .filter(({ entry }) => isExpired(entry, cacheDuration));
+    for (const cacheEntry of entries) {
+        await removeCacheEntry(cacheEntry);
+    }
+
+    writeLine(`Removed ${entries.length} expired responses`);
+}
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    const cacheConfig = getCacheConfig();
+
+    if ('duration' in options && !/^\d+$/.test(options.duration || '')) {
+        writeError("--duration must be a number of milliseconds");
+        writeError(USAGE);
+        process.exit(1);
+    }
+
+    const cachePath = options['cache-path'] || cacheConfig.cachePath;
+    const cacheDuration = ('duration' in options) ? parseInt(options.duration, 10) : cacheConfig.cacheDuration;
+
+    try {
+        switch (command) {
+            case 'list':
+                await list(cachePath, cacheDuration, options);
+                break;
+            case 'inspect':
+                await inspect(cachePath, cacheDuration, args[0], options);
+                break;
+            case 'invalidate':
+                await invalidate(cachePath, cacheDuration, options);
+                break;
+            case 'prune':
+                await prune(cachePath, cacheDuration, options);
+                break;
+            default:
+                writeError(USAGE);
+                process.exit(1);
+        }
+    } catch(err) {
+        writeError(err.message);
+        process.exit(2);
+    }
+}
+
+main();
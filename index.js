@@ -3,6 +3,51 @@ const path                  = require('path');
 const winston               = require('winston');
 const config                = require('config');
 
+// The exit code used when the issue thresholds are exceeded.
+const THRESHOLD_EXIT_CODE = 3;
+
+/**
+ * Gives the sitemap source and the fetch transformer the same pathMapping,
+ * so the sitemap status and the fetched comparison map paths the same way.
+ * The mapping can be set on either; setting two different mappings is an error.
+ *
+ * @param {Object} pipelineConfig the pipeline configuration
+ * @returns {Object} the pipeline configuration with the shared mapping
+ */
+function sharePathMapping(pipelineConfig) {
+    const { source, transformers = [] } = pipelineConfig;
+    const fetchIndex = transformers.findIndex(step => /fetch-transformer$/.test(step.module));
+
+    if (!/sitemap-source$/.test(source.module) || fetchIndex === -1) {
+        return pipelineConfig;
+    }
+
+    const fetchStep = transformers[fetchIndex];
+    const sourceMapping = (source.config || {}).pathMapping;
+    const fetchMapping = (fetchStep.config || {}).pathMapping;
+
+    if (sourceMapping && fetchMapping && JSON.stringify(sourceMapping) !== JSON.stringify(fetchMapping)) {
+        throw new Error("The sitemap source and fetch-transformer have different pathMapping configs, set it on the fetch-transformer only");
+    }
+
+    const pathMapping = fetchMapping || sourceMapping;
+    if (!pathMapping) {
+        return pipelineConfig;
+    }
+
+    return {
+        ...pipelineConfig,
+        source: {
+            ...source,
+            config: { ...source.config, pathMapping }
+        },
+        transformers: transformers.map((step, index) => (index === fetchIndex) ?
+            { ...step, config: { ...step.config, pathMapping } } :
+            step
+        )
+    };
+}
+
 async function main() {
 
     // This should be based on a config really...
@@ -20,10 +65,20 @@ async function main() {
 
     let processor;
 
+    // The loader's result for this run, see CompareIssuesLoader.end().
+    let loaderResult = {};
+
     try {
-        const rawConfig = config.get("pipeline");
+        const rawConfig = sharePathMapping(config.get("pipeline"));
         const cleanConfig = {
             ...rawConfig,
+            loader: {
+                ...rawConfig.loader,
+                config: {
+                    ...rawConfig.loader.config,
+                    onEnd: (result) => { loaderResult = result; }
+                }
+            },
             searchPaths: [ __dirname ]
         }
         processor = new PipelineProcessor(logger, cleanConfig);
@@ -36,6 +91,12 @@ async function main() {
 
     try {
         await processor.run();
+
+        if (loaderResult.thresholdsExceeded) {
+            logger.error("Completed processing, but issue thresholds were exceeded.")
+            process.exit(THRESHOLD_EXIT_CODE);
+        }
+
         logger.info("Successfully completed processing.")
         process.exit(0);
     } catch(err) {
@@ -38,6 +38,20 @@ class AbstractCacheableWebRequestor {
     throw new Error("Cannot call abstract method.  Implement getHeaders in derrived class.");
   }
 
+  /**
+   * Requests a URL without following redirects, recording the status
+   * and location of each hop.
+   * @param {string} url The URL
+   * @returns {Object} the response, { url, status, headers, redirects, finalUrl }
+   */
+  async getResponse(url) {
+    if (!url) {
+      throw new Error("URL must be provided.");
+    }
+
+    throw new Error("Cannot call abstract method.  Implement getResponse in derrived class.");
+  }
+
   /**
    * Gets the content of a URL
    * @param {*} url
@@ -50,6 +64,18 @@ class AbstractCacheableWebRequestor {
     throw new Error("Cannot call abstract method.  Implement getContents in derrived class.");
   }
 
+  /**
+   * Gets the content of a URL as a Buffer, without any text decoding
+   * @param {*} url
+   */
+  async getBinaryContents(url) {
+    if (!url) {
+      throw new Error("URL must be provided.");
+    }
+
+    throw new Error("Cannot call abstract method.  Implement getBinaryContents in derrived class.");
+  }
+
 }
 
 module.exports = AbstractCacheableWebRequestor;
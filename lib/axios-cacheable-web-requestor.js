@@ -1,10 +1,19 @@
+const axios                           = require('axios');
 const fs                              = require('fs');
 const path                            = require('path');
 const util                            = require('util');
 const { URL }                         = require('url');
+const { HttpsAgent }                  = require('agentkeepalive');
 const AbstractCacheableWebRequestor   = require('./abstract-cacheable-web-requestor');
+const HostThrottle                    = require('./host-throttle');
+const RetryPolicy                     = require('./retry-policy');
+const {
+  NETWORK_METHODS,
+  getEntryPaths,
+  isExpired
+} = require('./http-cache');
+const { isHtml }                      = require('./utils/http-response');
 
-const statAsync  = util.promisify(fs.stat);
 const readFileAsync = util.promisify(fs.readFile);
 const writeFileAsync = util.promisify(fs.writeFile);
 const mkdirAsync = util.promisify(fs.mkdir);
@@ -12,10 +21,10 @@ const timeout = util.promisify(setTimeout);
 
 const TWENTY_FOUR_HOURS = 24 * 60 * 60 * 1000;
 
-const NETWORK_METHODS = Object.freeze({
-  "GET": 1,
-  "HEAD": 2
-});
+const REDIRECT_STATUSES = [ 301, 302, 303, 307, 308 ];
+
+// The headers of a 304 response that update the cached response.
+const REVALIDATED_HEADERS = [ 'cache-control', 'date', 'etag', 'expires', 'last-modified' ];
 
 /**
  * A class which can be used for web requests that will cache requests
@@ -31,10 +40,23 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
    * @param {Object} config a configuration object
    * @param {int} config.cacheDuration the length to cache items
    * @param {int} config.cachePath the folder to cache items in
+   * @param {int} config.maxRedirects the most redirects to follow when recording a response
+   * @param {int} config.requestsPerHost the most requests open at once to each host
+   * @param {Number} config.requestsPerSecond the most requests started each second to each host, 0 for no limit
+   * @param {Object} config.hostLimits limits for specific hosts, keyed by host (name and port), each
+   * { requestsPerHost, requestsPerSecond, burst } where burst is the most requests started at once after the host was idle
+   * @param {Object} config.retry when and how often to retry failed requests. See RetryPolicy.
+   * @param {int} config.requestTimeout the milliseconds to wait for a response before the request fails, 0 for no limit
    */
   constructor(logger, axclient, {
     cacheDuration = TWENTY_FOUR_HOURS,
-    cachePath = false
+    cachePath = false,
+    maxRedirects = 10,
+    requestsPerHost = 5,
+    requestsPerSecond = 0,
+    hostLimits = {},
+    retry = {},
+    requestTimeout = 30000
   } = {}) {
     super(logger);
 
@@ -45,13 +67,14 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
     this.ioQueueMaxHandles = 50; //The maximum open read & write file handles. We wont worry about stat handles for now
     this.ioQueueOpenHandles = 0;
     this.ioQueueHandleWait = 50;
-    this.maxRequestsPerHost = 1000;
-    this.hostOpenRequests = {}
+    this.requestsPerHost = requestsPerHost;
+    this.requestsPerSecond = requestsPerSecond;
+    this.hostLimits = hostLimits;
+    this.hostThrottles = {};
 
     this.instrumenting = true;
     this.stats = {
         pendingRequests: 0,
-        pendingStats: 0,
         pendingReads: 0,
         pendingWrites: 0
     }
@@ -59,6 +82,9 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
     this.cachePath = cachePath;
     this.axclient = axclient;
     this.cacheDuration = cacheDuration;
+    this.maxRedirects = maxRedirects;
+    this.retryPolicy = new RetryPolicy(retry);
+    this.requestTimeout = requestTimeout;
   }
 
   /**
@@ -89,31 +115,16 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
   printStats(prefix) {
       if (!this.instrumenting)
           return;
-      const hosts = Object.keys(this.hostOpenRequests)
+      const hosts = Object.keys(this.hostThrottles)
                       .reduce(
-                        ( acc, host ) => acc + `, ${host}: ${this.hostOpenRequests[host]}`,
+                        ( acc, host ) => {
+                          const { active, waiting } = this.hostThrottles[host].getStats();
+                          return acc + `, ${host}: ${active} (${waiting} waiting)`;
+                        },
                         ""
                       );
 
-      this.logger.debug(`PageFetcher:\t\t${prefix}: Stats: ${this.stats.pendingStats}, Reads: ${this.stats.pendingReads}, Writes: ${this.stats.pendingWrites}, Net: ${this.stats.pendingRequests}, Hosts: ${hosts}`);
-  }
-
-  /**
-   * Passthrough function for asyncStats to handle IO throttling
-   * (determine if a file exists or not)
-   * @param {*} filePath The file to stat
-   */
-  async instStat(filePath) {
-    let stat;
-    try {
-        this.updateStats("Stats", "+");
-        stat = await statAsync(filePath);
-        this.updateStats("Stats", "-");
-    } catch (err) {
-        this.updateStats("Stats", "-");
-        throw err;
-    }
-    return stat;
+      this.logger.debug(`PageFetcher:\t\t${prefix}: Reads: ${this.stats.pendingReads}, Writes: ${this.stats.pendingWrites}, Net: ${this.stats.pendingRequests}, Hosts: ${hosts}`);
   }
 
   /**
@@ -157,12 +168,13 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
    *
    * @param {String} url The URL to fetch
    * @param {NETWORK_METHODS} method The HTTP method (Only Get & Head supported)
+   * @param {Object} headers The request headers, if any
    */
-  async instNetReq(url, method) {
+  async instNetReq(url, method, headers) {
     let res;
     try {
-        this.updateHostStats("Requests", "+");
-        res = await this.queuedNetRequest(url, method);
+        this.updateStats("Requests", "+");
+        res = await this.queuedNetRequest(url, method, headers);
         this.updateStats("Requests", "-");
     } catch (err) {
         this.updateStats("Requests", "-");
@@ -172,53 +184,79 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
   }
 
   /**
-   * Enqueues a web request based on the host and the max
-   * requests for each host.
+   * Enqueues a web request based on the host and the limits
+   * for each host.
    *
    * @param {String} url The url to fetch
    * @param {NETWORK_METHODS} method The HTTP method
+   * @param {Object} headers The request headers, if any
    */
-  async queuedNetRequest(url, method) {
-    let res;
-    const parsedUrl = new URL(url);
+  async queuedNetRequest(url, method, headers) {
+    const throttle = this.getHostThrottle(new URL(url).host);
 
-    // Initialize host.
-    if (!this.hostOpenRequests[parsedUrl.host]) {
-      this.hostOpenRequests[parsedUrl.host] = 0;
-    }
+    return await throttle.run(() => this.netReq(url, method, headers));
+  }
 
-    if (this.hostOpenRequests[parsedUrl.host] <= this.maxRequestsPerHost) {
-      this.hostOpenRequests[parsedUrl.host]++;
-      try {
-        res = await this.netReq(url, method);
-        this.hostOpenRequests[parsedUrl.host]--;
-      } catch (err) {
-        this.hostOpenRequests[parsedUrl.host]--;
-        throw err;
-      }
-    } else {
-      await timeout(this.ioQueueHandleWait); //Wait if a space opens
-      res = await this.queuedNetRequest(url, method);
+  /**
+   * Gets the throttle for a host, creating it with the host's limits
+   * on first use.
+   *
+   * @param {String} host The host (name and port)
+   * @returns {HostThrottle} the throttle
+   */
+  getHostThrottle(host) {
+    if (!this.hostThrottles[host]) {
+      const {
+        requestsPerHost = this.requestsPerHost,
+        requestsPerSecond = this.requestsPerSecond,
+        burst
+      } = this.hostLimits[host] || {};
+
+      this.hostThrottles[host] = new HostThrottle({
+        maxConcurrent: requestsPerHost,
+        requestsPerSecond,
+        burst
+      });
     }
 
-    return res;
+    return this.hostThrottles[host];
   }
 
   /**
    * Makes the actual network request.
    * @param {String} url The URL to request.
    * @param {NETWORK_METHODS} method The HTTP Method
+   * @param {Object} headers The request headers, if any
    */
-  async netReq(url, method) {
+  async netReq(url, method, headers = {}) {
     let res;
 
+    const options = {
+      headers,
+      timeout: this.requestTimeout
+    };
+
     try {
       switch (method) {
         case NETWORK_METHODS.GET:
-          res = await this.axclient.get(url);
+          res = await this.axclient.get(url, options);
           break;
         case NETWORK_METHODS.HEAD:
-          res = await this.axclient.head(url);
+          res = await this.axclient.head(url, options);
+          break;
+        case NETWORK_METHODS.GET_BINARY:
+          res = await this.axclient.get(url, {
+            ...options,
+            responseType: 'arraybuffer'
+          });
+          break;
+        case NETWORK_METHODS.RESPONSE:
+          // A single hop, any status is a response to record.
+          res = await this.axclient.head(url, {
+            ...options,
+            maxRedirects: 0,
+            validateStatus: () => true
+          });
           break;
         default:
           throw new Error(`Unknown Method ${method} for ${url}`);
@@ -230,6 +268,52 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
     return res;
   }
 
+  /**
+   * Makes a network request, retrying it according to the retry policy.
+   * The number of attempts made is set as attempts on the response, or
+   * on the error if the last attempt failed.
+   *
+   * @param {String} url The URL to request.
+   * @param {NETWORK_METHODS} method The HTTP Method
+   * @param {Object} headers The request headers, if any
+   * @returns {Object} the Axios response
+   */
+  async fetchWithRetries(url, method, headers) {
+    let attempt = 0;
+
+    while (attempt < this.retryPolicy.maxAttempts) {
+      attempt++;
+
+      let res;
+      let error;
+      try {
+        res = await this.instNetReq(url, method, headers);
+      } catch (err) {
+        error = err;
+      }
+
+      const reason = this.retryPolicy.getRetryReason(error, res);
+
+      if (!reason || attempt >= this.retryPolicy.maxAttempts) {
+        if (error) {
+          error.attempts = attempt;
+          if (reason) {
+            error.message = `${error.message} (after ${attempt} attempts)`;
+          }
+          throw error;
+        }
+
+        res.attempts = attempt;
+        return res;
+      }
+
+      const response = error ? error.response : res;
+      const delay = this.retryPolicy.getDelay(attempt, response ? response.headers : undefined);
+      this.logger.warn(`PageFetcher:\t\tAttempt ${attempt} of ${url} failed with ${reason}, retrying in ${delay}ms`);
+      await timeout(delay);
+    }
+  }
+
   /**
    * Queue a file for writing.
    *
@@ -289,48 +373,23 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
   }
 
   /**
-   * Gets a file path for a URL
-   * @param {*} url the url to get the path for
-   * @param {NETWORK_METHODS} method the HTTP method to use
+   * Reads the cache entry for a request, fresh or not.
+   * @param {string} url The URL of the request
+   * @param {NETWORK_METHODS} method The method of the request
+   * @returns {Object|undefined} The entry, { url, method, status, headers, finalUrl, cachedAt, bodyType },
+   * with any redirects of a RESPONSE, or undefined if there is none.
    */
-  getPathForUrl(url, method) {
-
-    const urlObj = new URL(url);
-
-    const basePath = path.join(
-      this.cachePath,
-      urlObj.pathname
-    );
-
-    switch (method) {
-      case NETWORK_METHODS.GET:
-        return path.join(basePath, `${urlObj.hostname}.html`);
-      case NETWORK_METHODS.HEAD:
-        return path.join(basePath, `${urlObj.hostname}.json`);
-      default:
-        throw new Error(`Unknown method ${method} for ${url}`);
-    }
-  }
+  async readCacheEntry(url, method) {
+    const { entryPath } = getEntryPaths(this.cachePath, method, url);
 
-  /**
-   * Checks the cache for a url before fetching
-   * @param {string} url The URL to fetch
-   * @param {NETWORK_METHODS} method The HTTP method for the request
-   * @returns {string|undefined} The cached request data.
-   */
-  async getFromCache(url, method) {
-
-    const filePath = this.getPathForUrl(url, method);
-
-    let stat;
+    let data;
 
     try {
-        stat = await this.instStat(filePath);
+        data = await this.instReadFile(entryPath, 'utf8');
     } catch (err) {
 
         //File does not exist
         if (err.code == 'ENOENT') {
-            //this.logger.debug(`${url} not found in cache`);
             return undefined;
         } else {
             //Something went wrong, so bail
@@ -339,30 +398,85 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
         }
     }
 
-    if ((Date.now() - stat.mtime) < this.cacheDuration) {
-      //this.logger.debug(`Reading ${url} from cache`);
-      //Read file
-      return await this.instReadFile(filePath, 'utf8');
-    } else {
-      //Too old, need to refetch
-      //this.logger.debug(`${url} expired in cache`);
+    return JSON.parse(data);
+  }
+
+  /**
+   * Reads the body of a cache entry.
+   * @param {string} url The URL of the request
+   * @param {NETWORK_METHODS} method The method of the request
+   * @param {Object} entry The cache entry
+   * @returns {string|Buffer|undefined} the body, text or binary as it was stored, if the entry has one
+   */
+  async readCacheBody(url, method, entry) {
+    if (!entry.bodyType) {
       return undefined;
     }
+
+    const { bodyPath } = getEntryPaths(this.cachePath, method, url);
+    const enc = (entry.bodyType === 'binary') ? null : 'utf8';
+
+    return await this.instReadFile(bodyPath, enc);
   }
 
   /**
-   * Saves the contents of a page to the file system
-   * @param {String} url the URL to fetch
-   * @param {NETWORK_METHODS} method the method for the request
-   * @param {String} data The data to store
+   * Checks the cache for a request before fetching
+   * @param {string} url The URL to fetch
+   * @param {NETWORK_METHODS} method The method of the request
+   * @returns {Object|undefined} The cached entry with its body, fresh or not, or undefined if there is none.
    */
-  async saveToCache(url, method, data) {
-    const filePath = this.getPathForUrl(url, method);
+  async getFromCache(url, method) {
+    const entry = await this.readCacheEntry(url, method);
+
+    if (!entry) {
+      return undefined;
+    }
 
+    let body;
     try {
-        await this.instWriteFile(filePath, data);
+      body = await this.readCacheBody(url, method, entry);
+    } catch (err) {
+      // The body was removed from under the entry, so fetch it again.
+      if (err.code === 'ENOENT') {
+        return undefined;
+      }
+      throw err;
+    }
+
+    return {
+      ...entry,
+      body
+    };
+  }
+
+  /**
+   * Saves a response to the file system, the body in its own file
+   * @param {String} url the URL of the request
+   * @param {NETWORK_METHODS} method the method of the request
+   * @param {Object} response The response to store, { status, headers, finalUrl, redirects, body }
+   */
+  async saveToCache(url, method, { status, headers, finalUrl, redirects, body }) {
+    const { entryPath, bodyPath } = getEntryPaths(this.cachePath, method, url);
+
+    const entry = {
+      url,
+      method,
+      status,
+      headers,
+      finalUrl,
+      redirects,
+      cachedAt: Date.now(),
+      bodyType: (body === undefined) ? undefined : (Buffer.isBuffer(body) ? 'binary' : 'text')
+    };
+
+    try {
+        if (body !== undefined) {
+          await this.instWriteFile(bodyPath, body);
+        }
+        // The entry is written last, so it is never without its body.
+        await this.instWriteFile(entryPath, JSON.stringify(entry));
     } catch(err) {
-        this.logger.error(`Could not save ${url} to ${filePath}`)
+        this.logger.error(`Could not save ${url} to ${entryPath}`)
         console.error(err);
         throw err;
     }
@@ -370,145 +484,321 @@ class AxiosCacheableWebRequestor extends AbstractCacheableWebRequestor {
   }
 
   /**
-   * Fetches a single URL from the server
-   * @param {String} url the URL to fetch
+   * Marks a cached response as fresh again after the server said it
+   * was not modified, keeping its body.
+   * @param {String} url the URL of the request
+   * @param {NETWORK_METHODS} method the method of the request
+   * @param {Object} cached The cached entry with its body
+   * @param {Object} headers The headers of the 304 response
+   * @returns {Object} the refreshed entry with its body
    */
-  async fetchUrlContents(url) {
+  async refreshCacheEntry(url, method, cached, headers) {
+    const { entryPath } = getEntryPaths(this.cachePath, method, url);
+    const { body, ...entry } = cached;
+
+    const refreshed = {
+      ...entry,
+      headers: REVALIDATED_HEADERS
+                .filter(name => headers[name] !== undefined)
+                .reduce((merged, name) => ({ ...merged, [name]: headers[name] }), entry.headers),
+      cachedAt: Date.now()
+    };
 
-    // This needs to be different for the methods
-    let res;
     try {
-      //this.logger.debug(`PageFetcher:\t\tFetching ${url}`);
-      res = await this.instNetReq(url, NETWORK_METHODS.GET);
-      this.logger.debug(`PageFetcher:\t\tCompleted Fetching contents ${url}`);
-    } catch (err) {
+        await this.instWriteFile(entryPath, JSON.stringify(refreshed));
+    } catch(err) {
+        this.logger.error(`Could not refresh ${url} in ${entryPath}`)
+        throw err;
+    }
 
-      if (err.response && err.response.status) {
-        //throw new Error(`Bad status, ${res.status} , while fetching url ${url}`)
-        this.logger.error(`Bad status, ${err.response.status} , while fetching url contents ${url}`)
-        return undefined;
-      }
+    return {
+      ...refreshed,
+      body
+    };
+  }
 
-      if (err.errno && err.code === 'ECONNRESET') {
-        this.logger.debug(`PageFetcher:\t\tRetrying fetch of contents ${url}`);
-        await timeout(10000); //Wait 10 seconds before trying again
-        return await this.fetchUrlContents(url);
-      }
+  /**
+   * Gets the headers to revalidate a cached response with, so the server
+   * can answer 304 Not Modified instead of sending it again.
+   * @param {Object} cached The cached entry
+   * @returns {Object} the If-None-Match and/or If-Modified-Since headers, empty if the entry cannot be revalidated
+   */
+  getValidators({ url, status, headers, finalUrl }) {
+    const validators = {};
 
-      this.logger.error(`Could not fetch url, ${url} contents.`)
-      throw err;
+    // The validators of a redirected response are those of where it ended up, not of the URL.
+    if (status !== 200 || finalUrl !== url) {
+      return validators;
     }
 
-    if (res.status !== 200) {
-      //throw new Error(`Bad status, ${res.status} , while fetching url ${url}`)
-      this.logger.error(`Bad status, ${res.status} , while fetching url ${url} contents`)
-      return;
+    if (headers['etag']) {
+      validators['If-None-Match'] = headers['etag'];
+    }
+    if (headers['last-modified']) {
+      validators['If-Modified-Since'] = headers['last-modified'];
     }
 
-    //If it is not HTML, then we need to move on.
-    const contentType = res.headers['content-type'];
-    if (!contentType || !contentType.startsWith('text/html;')) {
-      return "||FILEDATA||"; //A marker to identify this was a file.
+    return validators;
+  }
+
+  /**
+   * Gets the response to a request from the cache, or from the server if
+   * there is no fresh entry. An expired entry is revalidated with its ETag
+   * and Last-Modified, so an unchanged response is not downloaded again.
+   * Error statuses are cached as well, but not the transient statuses that are retried.
+   * @param {String} url the URL to request
+   * @param {NETWORK_METHODS} method the method of the request
+   * @returns {Object} the response, { url, status, headers, finalUrl, redirects, body, attempts },
+   * where attempts is the number of requests made, 0 if the response was cached.
+   */
+  async getCachedResponse(url, method) {
+    if (!url) {
+      throw new Error("URL must be provided.");
+    }
+
+    const cached = await this.getFromCache(url, method);
+
+    if (cached && !isExpired(cached, this.cacheDuration)) {
+      return {
+        ...cached,
+        attempts: 0
+      };
+    }
+
+    const validators = cached ? this.getValidators(cached) : {};
+
+    const response = (method === NETWORK_METHODS.RESPONSE) ?
+                      await this.fetchUrlResponse(url, validators) :
+                      await this.fetchUrl(url, method, validators);
+
+    if (response.status === 304 && Object.keys(validators).length > 0) {
+      this.logger.debug(`PageFetcher:\t\tRevalidated ${method} ${url}`);
+      return {
+        ...await this.refreshCacheEntry(url, method, cached, response.headers),
+        attempts: response.attempts
+      };
     }
 
-    return res.data;
+    if (!this.retryPolicy.retryStatuses.includes(response.status)) {
+      await this.saveToCache(url, method, response);
+    }
+
+    return response;
   }
 
-    /**
-   * Fetches a single URL from the server
+  /**
+   * Fetches a single URL from the server, following any redirects.
    * @param {String} url the URL to fetch
+   * @param {NETWORK_METHODS} method the method of the request, GET, HEAD or GET_BINARY
+   * @param {Object} headers the request headers, if any
+   * @returns {Object} the response, { url, status, headers, finalUrl, body, attempts }, where
+   * the body is the HTML of a web page for GET, or the Buffer of the contents for GET_BINARY
    */
-  async fetchUrlHeaders(url) {
-
-    // This needs to be different for the methods
+  async fetchUrl(url, method, headers) {
     let res;
+    let attempts;
     try {
-      //this.logger.debug(`PageFetcher:\t\tFetching ${url}`);
-      res = await this.instNetReq(url, NETWORK_METHODS.HEAD);
-      this.logger.debug(`PageFetcher:\t\tCompleted Fetching headers ${url}`);
+      res = await this.fetchWithRetries(url, method, headers);
+      attempts = res.attempts;
+      this.logger.debug(`PageFetcher:\t\tCompleted Fetching ${method} ${url}`);
     } catch (err) {
 
+      // Error statuses are responses too.
       if (err.response && err.response.status) {
-        //throw new Error(`Bad status, ${res.status} , while fetching url ${url}`)
-        this.logger.error(`Bad status, ${err.response.status} , while fetching url headers ${url}`)
-        return undefined;
+        res = err.response;
+        attempts = err.attempts;
+      } else {
+        this.logger.error(`Could not fetch url, ${url} using ${method}.`)
+        throw err;
       }
+    }
 
-      if (err.errno && err.code === 'ECONNRESET') {
-        this.logger.debug(`PageFetcher:\t\tRetrying fetch of headers ${url}`);
-        await timeout(10000); //Wait 10 seconds before trying again
-        return await this.fetchUrlHeaders(url);
+    if (res.status !== 200 && res.status !== 304) {
+      this.logger.error(`Bad status, ${res.status} , while fetching url ${url} using ${method}`)
+    }
+
+    let body;
+    if (res.status === 200) {
+      if (method === NETWORK_METHODS.GET_BINARY) {
+        body = Buffer.from(res.data);
+      } else if (method === NETWORK_METHODS.GET && isHtml(res.headers)) {
+        body = res.data;
       }
+    }
 
-      this.logger.error(`Could not fetch url, ${url} using.`)
+    return {
+      url,
+      status: res.status,
+      headers: res.headers,
+      finalUrl: (res.request && res.request.res && res.request.res.responseUrl) || url,
+      body,
+      attempts
+    };
+  }
+
+  /**
+   * Fetches a single URL from the server without following a redirect
+   * @param {String} url the URL to fetch
+   * @param {Object} headers the request headers, if any
+   * @returns {Object} the Axios response, whatever its status
+   */
+  async fetchUrlHop(url, headers) {
+    let res;
+    try {
+      res = await this.fetchWithRetries(url, NETWORK_METHODS.RESPONSE, headers);
+      this.logger.debug(`PageFetcher:\t\tCompleted Fetching response ${url}`);
+    } catch (err) {
+      this.logger.error(`Could not fetch url, ${url} response.`)
       throw err;
     }
 
-    if (res.status !== 200) {
-      //throw new Error(`Bad status, ${res.status} , while fetching url ${url}`)
-      this.logger.error(`Bad status, ${res.status} , while fetching url ${url}`)
-      return;
+    return res;
+  }
+
+  /**
+   * Fetches a single URL from the server, following redirects one hop
+   * at a time so the status and location of each hop are recorded.
+   * @param {String} url the URL to fetch
+   * @param {Object} headers the request headers for the first hop, if any
+   * @returns {Object} the response, { url, status, headers, redirects, finalUrl, attempts }
+   * where attempts counts the requests made for all the hops
+   */
+  async fetchUrlResponse(url, headers) {
+    const redirects = [];
+    let currentUrl = url;
+    let res = await this.fetchUrlHop(currentUrl, headers);
+    let attempts = res.attempts;
+
+    while (REDIRECT_STATUSES.includes(res.status) && res.headers['location']) {
+      const location = res.headers['location'];
+      redirects.push({
+        url: currentUrl,
+        status: res.status,
+        location
+      });
+
+      const nextUrl = new URL(location, currentUrl).href;
+      if (redirects.some(redirect => redirect.url === nextUrl)) {
+        throw new Error(`Redirect loop while fetching url ${url}`);
+      }
+      if (redirects.length > this.maxRedirects) {
+        throw new Error(`More than ${this.maxRedirects} redirects while fetching url ${url}`);
+      }
+
+      currentUrl = nextUrl;
+      res = await this.fetchUrlHop(currentUrl);
+      attempts += res.attempts;
     }
 
-    return res.headers;
+    return {
+      url,
+      status: res.status,
+      headers: res.headers,
+      redirects,
+      finalUrl: currentUrl,
+      attempts
+    };
   }
 
   /**
    * Requests the headers for a URL
    * @param {string} url The URL
+   * @returns {Object|undefined} the headers, or undefined if the status was not 200
    */
   async getHeaders(url) {
-    if (!url) {
-      throw new Error("URL must be provided.");
-    }
-
-    let data = await this.getFromCache(url, NETWORK_METHODS.HEAD);
+    const response = await this.getCachedResponse(url, NETWORK_METHODS.HEAD);
 
-    if (!data) {
-      data = await this.fetchUrlHeaders(url);
-
-      if (data) {
-        await this.saveToCache(url, NETWORK_METHODS.HEAD, JSON.stringify(data));
-      }
-    }
-
-    if (!data) {
-      return undefined;
-    }
+    return (response.status === 200) ? response.headers : undefined;
+  }
 
-    return (typeof data === 'string') ? JSON.parse(data) : data;
+  /**
+   * Requests a URL without following redirects, recording the status
+   * and location of each hop.
+   * @param {string} url The URL
+   * @returns {Object} the response, { url, status, headers, redirects, finalUrl, attempts },
+   * where headers are those of the final hop, each redirect is { url, status, location }
+   * and attempts is the number of requests made, 0 if the response was cached.
+   */
+  async getResponse(url) {
+    const {
+      status,
+      headers,
+      redirects,
+      finalUrl,
+      attempts
+    } = await this.getCachedResponse(url, NETWORK_METHODS.RESPONSE);
+
+    return {
+      url,
+      status,
+      headers,
+      redirects,
+      finalUrl,
+      attempts
+    };
   }
 
   /**
    * Gets the content of a URL
    * @param {*} url
+   * @returns {string|undefined} the HTML, a marker if the URL is not a web page,
+   * or undefined if the status was not 200
    */
   async getContents(url) {
-    if (!url) {
-      throw new Error("URL must be provided.");
-    }
+    const response = await this.getCachedResponse(url, NETWORK_METHODS.GET);
 
-    let content = await this.getFromCache(url, NETWORK_METHODS.GET);
-
-    if (!content) {
-      content = await this.fetchUrlContents(url);
-
-      if (content) {
-        await this.saveToCache(url, NETWORK_METHODS.GET, content);
-      }
+    if (response.status !== 200) {
+      return undefined;
     }
 
-    if (!content) {
-      return undefined;
+    //If it is not HTML, then we need to move on.
+    if (!isHtml(response.headers)) {
+      return "||FILEDATA||"; //A marker to identify this was a file.
     }
 
-    // COMMENTED OUT FOR DEBUGGING PURPOSES.
-    //This was not a real HTML Page, so skip
-//    if (content === '||FILEDATA||') {
-//      return undefined;
-//    }
+    return response.body;
+  }
 
-    return content;
+  /**
+   * Gets the content of a URL as a Buffer, without any text decoding
+   * @param {*} url
+   * @returns {Buffer|undefined} the contents, or undefined if the status was not 200
+   */
+  async getBinaryContents(url) {
+    const response = await this.getCachedResponse(url, NETWORK_METHODS.GET_BINARY);
+
+    return (response.status === 200) ? response.body : undefined;
+  }
+
+  /**
+   * A static helper function to get a requestor with its own Axios client
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.cachePath the folder to cache items in. Defaults to the html-cache folder of the application.
+   * @param {Object} config.headers headers sent with every request, e.g. { "User-Agent": "mig-meta-compare" }
+   * See the AxiosCacheableWebRequestor constructor for the other parameters.
+   */
+  static async GetInstance(logger, {
+    cachePath = path.join(__dirname, "../html-cache"),
+    headers = {},
+    ...config
+  } = {}) {
+    //TODO: Find a better way to manage the agent so there can be one agent per
+    //application.  (and thus one pool of sockets)
+    const agent = new HttpsAgent({
+      maxSockets: 40
+    });
+
+    //Get instance of axios with our custom https agent
+    const axiosInstance = axios.create({
+      httpsAgent: agent,
+      headers
+    });
+
+    return new AxiosCacheableWebRequestor(logger, axiosInstance, {
+      ...config,
+      cachePath
+    });
   }
 
 }
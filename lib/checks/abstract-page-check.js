@@ -0,0 +1,94 @@
+const {
+  SEVERITIES,
+  isSeverity
+} = require('./severity');
+
+/**
+ * Base class for check modules that are loaded by the CompareTransformer
+ * from its checkModules config. A check compares a page on the source
+ * and destination hosts and returns the issues it finds.
+ */
+class AbstractPageCheck {
+
+  /**
+   * Creates a new instance of the AbstractPageCheck
+   * @param {object} logger
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {Array} config.include An array of regexes; when set, only matching paths are checked.
+   * @param {Array} config.exclude An array of regexes of paths that are not checked.
+   * @param {string} config.severity The severity of the issues without one: error (the default), warning or info.
+   */
+  constructor(logger, {
+    include = [],
+    exclude = [],
+    severity = SEVERITIES.ERROR
+  } = {}) {
+
+    if (this.constructor === AbstractPageCheck) {
+        throw new TypeError("Cannot construct AbstractPageCheck");
+    }
+
+    if (this.check === AbstractPageCheck.prototype.check) {
+        throw new TypeError("Must implement abstract method check");
+    }
+
+    this.logger = logger;
+    this.include = include.map(regex => new RegExp(regex));
+    this.exclude = exclude.map(regex => new RegExp(regex));
+    this.severity = severity;
+  }
+
+  /**
+   * Determines if this check should be run for a path.
+   *
+   * @param {string} path the path of the page
+   */
+  appliesTo(path) {
+    if (this.include.length > 0 && !this.include.some(regex => regex.test(path))) {
+      return false;
+    }
+    return !this.exclude.some(regex => regex.test(path));
+  }
+
+  /**
+   * Runs the check against a page.
+   *
+   * @param {Object} page the page to check
+   * @param {string} page.path the path of the page
+   * @param {string} page.destinationPath the path of the page on the destination, when it was mapped to a different path
+   * @param {*} page.sourceDoc the source JSDom object
+   * @param {*} page.destinationDoc the destination JSDom object
+   * @param {Object} page.sourceHeaders the source response headers
+   * @param {Object} page.destinationHeaders the destination response headers
+   * @returns {Array} an array of issues in the form { check, source, destination }, optionally with a severity.
+   */
+  check(page) {
+    if (!page) {
+      throw new Error("Page must be provided.");
+    }
+
+    throw new Error("Cannot call abstract method.  Implement check in derrived class.");
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    [ "include", "exclude" ].forEach(key => {
+      if (config[key] !== undefined && !Array.isArray(config[key])) {
+        errors.push(new Error(`${key} must be an array`));
+      }
+    });
+
+    if (config.severity !== undefined && !isSeverity(config.severity)) {
+      errors.push(new Error(`Unknown severity ${config.severity}`));
+    }
+
+    return errors;
+  }
+}
+
+module.exports = AbstractPageCheck;
@@ -0,0 +1,25 @@
+
+// Tried in order until one matches.
+const DEFAULT_CONTENT_SELECTORS = Object.freeze([
+  "main",
+  "[role=main]",
+  "article",
+  "body"
+]);
+
+/**
+ * Finds the main content region of a document.
+ *
+ * @param {*} doc the JSDom object
+ * @param {string|Array} selector the selector of the region, or selectors to try in order
+ * @returns {*} the element, or null if none matched
+ */
+function findContentRegion(doc, selector = DEFAULT_CONTENT_SELECTORS) {
+  return (Array.isArray(selector) ? selector : [ selector ])
+          .reduce((found, candidate) => found || doc.window.document.querySelector(candidate), null);
+}
+
+module.exports = {
+  DEFAULT_CONTENT_SELECTORS,
+  findContentRegion
+};
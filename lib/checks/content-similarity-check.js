@@ -0,0 +1,232 @@
+const AbstractPageCheck   = require('./abstract-page-check');
+const {
+  DEFAULT_CONTENT_SELECTORS,
+  findContentRegion
+} = require('./content-region');
+
+const EXCERPT_WORDS = 12;
+
+// Elements that flow with the text around them, so they do not separate words.
+const INLINE_ELEMENTS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'FONT', 'I', 'KBD',
+  'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+
+// Elements that are not content.
+const SKIPPED_ELEMENTS = new Set([ 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE' ]);
+
+/**
+ * This class implements a check that compares the main body content
+ * of the source and destination pages, reporting pages whose content
+ * is less similar than a threshold.
+ */
+class ContentSimilarityCheck extends AbstractPageCheck {
+
+  /**
+   * Creates a new instance of a ContentSimilarityCheck
+   *
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string|Array} config.sourceSelector The selector of the main content on the source, or selectors to try in order.
+   * @param {string|Array} config.destinationSelector The selector of the main content on the destination, or selectors to try in order.
+   * @param {Array} config.sections Selectors for site sections, each { path, sourceSelector, destinationSelector } where path is a regex.
+   * @param {Number} config.threshold The similarity (0 to 1) below which an issue is reported.
+   */
+  constructor(logger, {
+    sourceSelector = DEFAULT_CONTENT_SELECTORS,
+    destinationSelector = DEFAULT_CONTENT_SELECTORS,
+    sections = [],
+    threshold = 0.9,
+    ...config
+  } = {}) {
+    super(logger, config);
+
+    this.sourceSelector = sourceSelector;
+    this.destinationSelector = destinationSelector;
+    this.sections = sections.map(section => ({
+      ...section,
+      pathRegex: new RegExp(section.path)
+    }));
+    this.threshold = threshold;
+  }
+
+  /**
+   * Compares the main content of a page.
+   *
+   * @param {Object} page the page to check. See AbstractPageCheck.
+   * @returns {Array} an array of issues
+   */
+  check({ path, sourceDoc, destinationDoc }) {
+    const section = this.sections.find(candidate => candidate.pathRegex.test(path)) || {};
+
+    const sourceWords = this.getContentWords(sourceDoc, section.sourceSelector || this.sourceSelector);
+    const destinationWords = this.getContentWords(destinationDoc, section.destinationSelector || this.destinationSelector);
+
+    const similarity = this.getSimilarity(sourceWords, destinationWords);
+
+    if (similarity >= this.threshold) {
+      return [];
+    }
+
+    // The score is logged rather than reported, as it changes with any edit and
+    // the baseline comparison keys issues on their values.
+    this.logger.info(`${path} content is ${Math.round(similarity * 100)}% similar`);
+
+    const { source, destination } = this.getFirstDifference(sourceWords, destinationWords);
+
+    return [{
+      check: "WEBPAGE_COMPARE_CONTENT_SIMILARITY",
+      source,
+      destination
+    }];
+  }
+
+  /**
+   * Gets the words of the main content of a document, with whitespace normalized.
+   *
+   * @param {*} doc the JSDom object
+   * @param {string|Array} selector the selector of the main content, or selectors to try in order
+   * @returns {Array} the words
+   */
+  getContentWords(doc, selector) {
+    const elem = findContentRegion(doc, selector);
+    if (!elem) {
+      return [];
+    }
+
+    return this.getText(elem)
+            .split(/\s+/)
+            .filter(word => word !== '');
+  }
+
+  /**
+   * Gets the text of a node, separating the text of block elements, e.g.
+   * <h1>Title</h1><p>Text</p>, with whitespace so their words do not run together.
+   *
+   * @param {*} node the DOM node
+   * @returns {string} the text
+   */
+  getText(node) {
+    // Text node
+    if (node.nodeType === 3) {
+      return node.nodeValue;
+    }
+
+    // Other than elements, e.g. comments
+    if (node.nodeType !== 1 || SKIPPED_ELEMENTS.has(node.tagName)) {
+      return '';
+    }
+
+    const text = Array.from(node.childNodes).map(child => this.getText(child)).join('');
+
+    return INLINE_ELEMENTS.has(node.tagName) ? text : ` ${text} `;
+  }
+
+  /**
+   * Gets the similarity of two lists of words as the Dice coefficient of
+   * their word pairs, which is cheap enough for long pages and sensitive to
+   * both missing and reordered text.
+   *
+   * @param {Array} sourceWords the source words
+   * @param {Array} destinationWords the destination words
+   * @returns {Number} the similarity from 0 to 1
+   */
+  getSimilarity(sourceWords, destinationWords) {
+    const getPairs = (words) => {
+      if (words.length === 1) {
+        return [ words[0] ];
+      }
+      const pairs = [];
+      for (let i = 0; i < words.length - 1; i++) {
+        pairs.push(`${words[i]} ${words[i + 1]}`);
+      }
+      return pairs;
+    };
+
+    const sourcePairs = getPairs(sourceWords);
+    const destinationPairs = getPairs(destinationWords);
+
+    if (sourcePairs.length === 0 && destinationPairs.length === 0) {
+      return 1;
+    }
+
+    const counts = new Map();
+    sourcePairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+    let intersection = 0;
+    destinationPairs.forEach(pair => {
+      const count = counts.get(pair);
+      if (count) {
+        intersection++;
+        counts.set(pair, count - 1);
+      }
+    });
+
+    return (2 * intersection) / (sourcePairs.length + destinationPairs.length);
+  }
+
+  /**
+   * Gets a short excerpt of each list of words starting at the first
+   * word that differs.
+   *
+   * @param {Array} sourceWords the source words
+   * @param {Array} destinationWords the destination words
+   * @returns {Object} the { source, destination } excerpts
+   */
+  getFirstDifference(sourceWords, destinationWords) {
+    let index = 0;
+    while (
+      index < sourceWords.length &&
+      index < destinationWords.length &&
+      sourceWords[index] === destinationWords[index]
+    ) {
+      index++;
+    }
+
+    const getExcerpt = (words) => {
+      if (index >= words.length) {
+        return "CONTENT_ENDS";
+      }
+      const excerpt = words.slice(index, index + EXCERPT_WORDS).join(' ');
+      return (index > 0 ? '…' : '') + excerpt + (index + EXCERPT_WORDS < words.length ? '…' : '');
+    };
+
+    return {
+      source: getExcerpt(sourceWords),
+      destination: getExcerpt(destinationWords)
+    };
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static ValidateConfig(config) {
+    let errors = AbstractPageCheck.ValidateConfig(config);
+
+    if (config.threshold !== undefined && (typeof config.threshold !== 'number' || config.threshold < 0 || config.threshold > 1)) {
+      errors.push(new Error("threshold must be a number from 0 to 1"));
+    }
+
+    if (config.sections !== undefined) {
+      if (!Array.isArray(config.sections)) {
+        errors.push(new Error("sections must be an array"));
+      } else if (config.sections.some(section => !section || !section.path)) {
+        errors.push(new Error("You must supply a path for each of the sections"));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * A static helper function to get a configured check instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static async GetInstance(logger, config) {
+    return new ContentSimilarityCheck(logger, config);
+  }
+}
+
+module.exports = ContentSimilarityCheck;
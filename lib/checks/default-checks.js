@@ -0,0 +1,105 @@
+
+/**
+ * Gets the definition of a check comparing a single meta tag.
+ *
+ * @param {String} attr The attribute name (e.g. 'name' or 'property')
+ * @param {String} name The value of the attr
+ * @param {Array} normalizers The normalizers to apply to the values
+ */
+function metaCheck(attr, name, normalizers = []) {
+  return {
+    id: "WEBPAGE_COMPARE_META_" + name,
+    selector: `head [${attr}~="${name}"][content]`,
+    extract: "attribute",
+    attribute: "content",
+    normalizers
+  };
+}
+
+/**
+ * Gets the definition of a check comparing a meta tag that can appear
+ * multiple times, or hold a comma separated list, as a set of values.
+ *
+ * @param {String} attr The attribute name (e.g. 'name' or 'property')
+ * @param {String} name The value of the attr
+ */
+function metaSetCheck(attr, name) {
+  return {
+    ...metaCheck(attr, name),
+    multiple: true,
+    split: ","
+  };
+}
+
+/**
+ * The checks that are run on every web page when the compare transformer
+ * is not configured with its own list of checks.
+ */
+const DEFAULT_CHECKS = Object.freeze([
+  {
+    id: "WEBPAGE_COMPARE_TITLE",
+    selector: "title",
+    extract: "text",
+    normalizers: [ "collapseWhitespace" ]
+  },
+
+  // Basic meta tag checks
+  metaCheck('name', "description"),
+  metaCheck('name', "content-language"),
+  metaCheck('name', "dcterms.coverage"),
+  metaCheck('name', "dcterms.isPartOf"),
+  metaCheck('name', "dcterms.issued"),
+  metaCheck('name', "dcterms.type", [ "dctermsType" ]),
+  metaCheck('name', "english-linking-policy"),
+  metaCheck('name', "espanol-linking-policy"),
+  metaCheck('name', "twitter:card"),
+
+  metaCheck('property', "og:title"),
+  metaCheck('property', "og:description"),
+  metaCheck('property', "og:type"),
+  metaCheck('property', "og:site_name"),
+  metaCheck('property', "og:url", [ "url" ]),
+  metaCheck('property', "og:image", [ "url" ]),
+
+  // Meta tags that can appear more than once, or hold a list of values.
+  metaSetCheck('name', "keywords"),
+  metaSetCheck('name', "dcterms.subject"),
+  metaSetCheck('property', "article:tag"),
+
+  // SEO-critical link elements and robots directives.
+  {
+    id: "WEBPAGE_COMPARE_LINK_canonical",
+    selector: 'link[rel~="canonical"][href]',
+    extract: "attribute",
+    attribute: "href",
+    normalizers: [ "url" ]
+  },
+  {
+    id: "WEBPAGE_COMPARE_LINK_alternate",
+    selector: 'link[rel~="alternate"][hreflang][href]',
+    extract: "attribute",
+    attribute: "href",
+    keyAttribute: "hreflang",
+    multiple: true,
+    normalizers: [ "url" ]
+  },
+  {
+    id: "WEBPAGE_COMPARE_META_robots",
+    selector: 'head meta[name="robots" i][content]',
+    extract: "attribute",
+    attribute: "content",
+    multiple: true,
+    split: ",",
+    normalizers: [ "lowercase" ]
+  },
+  {
+    id: "WEBPAGE_COMPARE_HEADER_x-robots-tag",
+    extract: "header",
+    header: "x-robots-tag",
+    multiple: true,
+    split: ",",
+    normalizers: [ "lowercase" ]
+  }
+]);
+
+module.exports = DEFAULT_CHECKS;
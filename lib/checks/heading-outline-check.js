@@ -0,0 +1,171 @@
+const AbstractPageCheck   = require('./abstract-page-check');
+
+/**
+ * This class implements a check that compares the h1-h6 outline of
+ * the source and destination pages, reporting missing, extra and changed
+ * headings, and more than one h1 on the destination.
+ */
+class HeadingOutlineCheck extends AbstractPageCheck {
+
+  /**
+   * Creates a new instance of a HeadingOutlineCheck
+   *
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.selector The selector of the region to collect headings from.
+   */
+  constructor(logger, {
+    selector = "body",
+    ...config
+  } = {}) {
+    super(logger, config);
+
+    this.selector = selector;
+  }
+
+  /**
+   * Compares the heading outline of a page.
+   *
+   * @param {Object} page the page to check. See AbstractPageCheck.
+   * @returns {Array} an array of issues
+   */
+  check({ sourceDoc, destinationDoc }) {
+    const sourceHeadings = this.getHeadings(sourceDoc);
+    const destinationHeadings = this.getHeadings(destinationDoc);
+
+    const issues = [];
+
+    const sourceH1s = sourceHeadings.filter(heading => heading.level === 1).length;
+    const destinationH1s = destinationHeadings.filter(heading => heading.level === 1).length;
+    if (destinationH1s > 1) {
+      issues.push({
+        check: "WEBPAGE_COMPARE_HEADING_MULTIPLE_H1",
+        source: `${sourceH1s} h1`,
+        destination: `${destinationH1s} h1`
+      });
+    }
+
+    // Headings with the same text, in order, are the same heading.
+    const matches = this.alignByText(sourceHeadings, destinationHeadings);
+
+    let sourceIndex = 0;
+    let destinationIndex = 0;
+
+    [ ...matches, [ sourceHeadings.length, destinationHeadings.length ] ].forEach(([ nextSource, nextDestination ]) => {
+      // The unmatched headings between two matches were changed, removed or added.
+      const sourceGap = sourceHeadings.slice(sourceIndex, nextSource);
+      const destinationGap = destinationHeadings.slice(destinationIndex, nextDestination);
+
+      sourceGap.forEach((sourceHeading, i) => {
+        if (i < destinationGap.length) {
+          issues.push(this.getIssue("WEBPAGE_COMPARE_HEADING_TEXT", sourceHeading, destinationGap[i]));
+        } else {
+          issues.push(this.getIssue("WEBPAGE_COMPARE_HEADING_MISSING", sourceHeading));
+        }
+      });
+      destinationGap.slice(sourceGap.length).forEach(destinationHeading => {
+        issues.push(this.getIssue("WEBPAGE_COMPARE_HEADING_EXTRA", undefined, destinationHeading));
+      });
+
+      if (nextSource < sourceHeadings.length) {
+        const sourceHeading = sourceHeadings[nextSource];
+        const destinationHeading = destinationHeadings[nextDestination];
+        if (sourceHeading.level !== destinationHeading.level) {
+          issues.push(this.getIssue("WEBPAGE_COMPARE_HEADING_LEVEL", sourceHeading, destinationHeading));
+        }
+      }
+
+      sourceIndex = nextSource + 1;
+      destinationIndex = nextDestination + 1;
+    });
+
+    return issues;
+  }
+
+  /**
+   * Gets an issue for a heading.
+   *
+   * @param {String} check the name of the check
+   * @param {Object} sourceHeading the source heading, if any
+   * @param {Object} destinationHeading the destination heading, if any
+   */
+  getIssue(check, sourceHeading, destinationHeading) {
+    const format = (heading) => heading ? `h${heading.level}: ${heading.text}` : "VALUE_NOT_FOUND";
+
+    return {
+      check,
+      source: format(sourceHeading),
+      destination: format(destinationHeading)
+    };
+  }
+
+  /**
+   * Matches the headings of both pages by text, keeping their order
+   * (the longest common subsequence).
+   *
+   * @param {Array} sourceHeadings the source headings
+   * @param {Array} destinationHeadings the destination headings
+   * @returns {Array} an array of [ sourceIndex, destinationIndex ] pairs
+   */
+  alignByText(sourceHeadings, destinationHeadings) {
+    const rows = sourceHeadings.length;
+    const cols = destinationHeadings.length;
+
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = sourceHeadings[i].text === destinationHeadings[j].text ?
+                          lengths[i + 1][j + 1] + 1 :
+                          Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const matches = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (sourceHeadings[i].text === destinationHeadings[j].text) {
+        matches.push([ i, j ]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Gets the headings of a document in document order.
+   *
+   * @param {*} doc the JSDom object
+   * @returns {Array} an array of { level, text }
+   */
+  getHeadings(doc) {
+    const region = doc.window.document.querySelector(this.selector);
+    if (!region) {
+      return [];
+    }
+
+    return Array.from(region.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .map(elem => ({
+              level: parseInt(elem.tagName.substring(1), 10),
+              text: elem.textContent.replace(/\s+/g, ' ').trim()
+            }));
+  }
+
+  /**
+   * A static helper function to get a configured check instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static async GetInstance(logger, config) {
+    return new HeadingOutlineCheck(logger, config);
+  }
+}
+
+module.exports = HeadingOutlineCheck;
@@ -0,0 +1,142 @@
+const AbstractPageCheck   = require('./abstract-page-check');
+const UrlNormalizer       = require('../url-normalizer');
+
+/**
+ * This class implements a check that compares the links (<a href>) on
+ * the source and destination pages, reporting links that are missing,
+ * added, pointing somewhere different or whose text changed.
+ */
+class LinkInventoryCheck extends AbstractPageCheck {
+
+  /**
+   * Creates a new instance of a LinkInventoryCheck
+   *
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.selector The selector of the region to collect links from.
+   * @param {Array} config.ignoreSelectors Selectors of regions whose links are not collected (e.g. nav).
+   * @param {Object} config.urlNormalization The configuration for normalizing link targets. See UrlNormalizer.
+   */
+  constructor(logger, {
+    selector = "body",
+    ignoreSelectors = [],
+    urlNormalization = {},
+    ...config
+  } = {}) {
+    super(logger, config);
+
+    this.selector = selector;
+    this.ignoreSelectors = ignoreSelectors;
+    this.urlNormalizer = new UrlNormalizer(urlNormalization);
+  }
+
+  /**
+   * Compares the links of a page.
+   *
+   * @param {Object} page the page to check. See AbstractPageCheck.
+   * @returns {Array} an array of issues
+   */
+  check({ path, destinationPath = path, sourceDoc, destinationDoc }) {
+    let sourceLinks = this.getLinks(sourceDoc, path);
+    let destinationLinks = this.getLinks(destinationDoc, destinationPath);
+
+    const issues = [];
+
+    // Pair up the links, most specific match first, and drop the identical ones.
+    const matchLinks = (matchFn) => {
+      const unmatched = [];
+      sourceLinks.forEach(sourceLink => {
+        const index = destinationLinks.findIndex(destinationLink => matchFn(sourceLink, destinationLink));
+        if (index === -1) {
+          unmatched.push(sourceLink);
+          return;
+        }
+        const [ destinationLink ] = destinationLinks.splice(index, 1);
+        if (sourceLink.href !== destinationLink.href) {
+          issues.push(this.getIssue("WEBPAGE_COMPARE_ANCHOR_TARGET", sourceLink, destinationLink));
+        } else if (sourceLink.text !== destinationLink.text) {
+          issues.push(this.getIssue("WEBPAGE_COMPARE_ANCHOR_TEXT", sourceLink, destinationLink));
+        }
+      });
+      sourceLinks = unmatched;
+    };
+
+    matchLinks((a, b) => a.href === b.href && a.text === b.text);
+    matchLinks((a, b) => a.href === b.href);
+    matchLinks((a, b) => a.text !== '' && a.text === b.text);
+
+    sourceLinks.forEach(link => issues.push(this.getIssue("WEBPAGE_COMPARE_ANCHOR_MISSING", link)));
+    destinationLinks.forEach(link => issues.push(this.getIssue("WEBPAGE_COMPARE_ANCHOR_ADDED", undefined, link)));
+
+    return issues;
+  }
+
+  /**
+   * Gets an issue for a link.
+   *
+   * @param {String} check the name of the check
+   * @param {Object} sourceLink the source link, if any
+   * @param {Object} destinationLink the destination link, if any
+   */
+  getIssue(check, sourceLink, destinationLink) {
+    const format = (link) => link ? `${link.href} ("${link.text}")` : "VALUE_NOT_FOUND";
+
+    return {
+      check,
+      source: format(sourceLink),
+      destination: format(destinationLink)
+    };
+  }
+
+  /**
+   * Gets the links of a document, with normalized targets and text.
+   *
+   * @param {*} doc the JSDom object
+   * @param {string} path the path of the page
+   * @returns {Array} an array of { href, text }
+   */
+  getLinks(doc, path) {
+    const region = doc.window.document.querySelector(this.selector);
+    if (!region) {
+      return [];
+    }
+
+    return Array.from(region.querySelectorAll('a[href]'))
+            .filter(elem => !this.ignoreSelectors.some(ignore => elem.closest(ignore)))
+            .map(elem => ({
+              rawHref: elem.getAttribute('href').trim(),
+              text: elem.textContent.replace(/\s+/g, ' ').trim()
+            }))
+            // In page anchors and scripts are not outbound links.
+            .filter(({ rawHref }) => rawHref !== '' && !rawHref.startsWith('#') && !/^javascript:/i.test(rawHref))
+            .map(({ rawHref, text }) => ({
+              href: this.urlNormalizer.normalize(rawHref, path),
+              text
+            }));
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static ValidateConfig(config) {
+    let errors = AbstractPageCheck.ValidateConfig(config);
+
+    if (config.ignoreSelectors !== undefined && !Array.isArray(config.ignoreSelectors)) {
+      errors.push(new Error("ignoreSelectors must be an array"));
+    }
+
+    return errors;
+  }
+
+  /**
+   * A static helper function to get a configured check instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static async GetInstance(logger, config) {
+    return new LinkInventoryCheck(logger, config);
+  }
+}
+
+module.exports = LinkInventoryCheck;
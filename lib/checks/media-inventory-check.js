@@ -0,0 +1,199 @@
+const AbstractPageCheck   = require('./abstract-page-check');
+const UrlNormalizer       = require('../url-normalizer');
+const {
+  DEFAULT_CONTENT_SELECTORS,
+  findContentRegion
+} = require('./content-region');
+
+// The media elements, and the attribute holding the source of each.
+const MEDIA_SOURCE_ATTRIBUTES = Object.freeze({
+  img: "src",
+  video: "src",
+  audio: "src",
+  source: "src",
+  iframe: "src",
+  embed: "src",
+  object: "data"
+});
+
+/**
+ * This class implements a check that compares the images, video and other
+ * embedded media in the content area of the source and destination pages,
+ * including the alt text of images.
+ */
+class MediaInventoryCheck extends AbstractPageCheck {
+
+  /**
+   * Creates a new instance of a MediaInventoryCheck
+   *
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string|Array} config.sourceSelector The selector of the content area on the source, or selectors to try in order.
+   * @param {string|Array} config.destinationSelector The selector of the content area on the destination, or selectors to try in order.
+   * @param {Object} config.urlNormalization The configuration for normalizing media sources. See UrlNormalizer.
+   */
+  constructor(logger, {
+    sourceSelector = DEFAULT_CONTENT_SELECTORS,
+    destinationSelector = DEFAULT_CONTENT_SELECTORS,
+    urlNormalization = {},
+    ...config
+  } = {}) {
+    super(logger, config);
+
+    this.sourceSelector = sourceSelector;
+    this.destinationSelector = destinationSelector;
+    this.urlNormalizer = new UrlNormalizer(urlNormalization);
+  }
+
+  /**
+   * Compares the media of a page.
+   *
+   * @param {Object} page the page to check. See AbstractPageCheck.
+   * @returns {Array} an array of issues
+   */
+  check({ path, destinationPath = path, sourceDoc, destinationDoc }) {
+    const sourceMedia = this.getMedia(sourceDoc, this.sourceSelector, path);
+    const destinationMedia = this.getMedia(destinationDoc, this.destinationSelector, destinationPath);
+
+    const issues = [];
+
+    const sourceCounts = this.getCounts(sourceMedia);
+    const destinationCounts = this.getCounts(destinationMedia);
+    if (sourceCounts !== destinationCounts) {
+      issues.push({
+        check: "WEBPAGE_COMPARE_MEDIA_COUNT",
+        source: sourceCounts,
+        destination: destinationCounts
+      });
+    }
+
+    const unmatched = [ ...destinationMedia ];
+
+    sourceMedia.forEach(sourceItem => {
+      const index = unmatched.findIndex(item => item.tag === sourceItem.tag && item.src === sourceItem.src);
+
+      if (index === -1) {
+        issues.push({
+          check: "WEBPAGE_COMPARE_MEDIA_MISSING",
+          source: `<${sourceItem.tag}> ${sourceItem.src}`,
+          destination: "VALUE_NOT_FOUND"
+        });
+        return;
+      }
+
+      const [ destinationItem ] = unmatched.splice(index, 1);
+      issues.push(...this.compareAlt(sourceItem, destinationItem));
+    });
+
+    unmatched.forEach(destinationItem => {
+      issues.push({
+        check: "WEBPAGE_COMPARE_MEDIA_ADDED",
+        source: "VALUE_NOT_FOUND",
+        destination: `<${destinationItem.tag}> ${destinationItem.src}`
+      });
+
+      // New images must still have alt text.
+      if (destinationItem.tag === 'img' && destinationItem.alt === null) {
+        issues.push(...this.compareAlt(undefined, destinationItem));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Compares the alt text of an image on both pages, flagging alt text
+   * that is missing or changed on the destination.
+   *
+   * @param {Object} sourceItem the source image, if any
+   * @param {Object} destinationItem the destination image
+   * @returns {Array} an array of issues
+   */
+  compareAlt(sourceItem, destinationItem) {
+    if (destinationItem.tag !== 'img') {
+      return [];
+    }
+
+    const sourceAlt = sourceItem ? sourceItem.alt : null;
+    const destinationAlt = destinationItem.alt;
+
+    const describe = (alt) => alt === null ? "VALUE_NOT_FOUND" : `${destinationItem.src} alt="${alt}"`;
+
+    // A missing alt attribute, or alt text lost in the migration.
+    if (destinationAlt === null || (destinationAlt === '' && sourceAlt)) {
+      return [{
+        check: "WEBPAGE_COMPARE_MEDIA_ALT_MISSING",
+        source: describe(sourceAlt),
+        destination: `${destinationItem.src} alt=${destinationAlt === null ? 'VALUE_NOT_FOUND' : '""'}`
+      }];
+    }
+
+    if (sourceAlt !== null && sourceAlt !== destinationAlt) {
+      return [{
+        check: "WEBPAGE_COMPARE_MEDIA_ALT_CHANGED",
+        source: describe(sourceAlt),
+        destination: describe(destinationAlt)
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Gets the number of each type of media as a string, e.g. "img: 3, video: 1".
+   *
+   * @param {Array} media the media of a page
+   * @returns {String} the counts
+   */
+  getCounts(media) {
+    const counts = {};
+    media.forEach(item => {
+      counts[item.tag] = (counts[item.tag] || 0) + 1;
+    });
+
+    const tags = Object.keys(counts).sort();
+    return tags.length ?
+            tags.map(tag => `${tag}: ${counts[tag]}`).join(', ') :
+            "VALUE_NOT_FOUND";
+  }
+
+  /**
+   * Gets the media in the content area of a document.
+   *
+   * @param {*} doc the JSDom object
+   * @param {string|Array} selector the selector of the content area
+   * @param {string} path the path of the page
+   * @returns {Array} an array of { tag, src, alt }, where alt is null if there is no alt attribute.
+   */
+  getMedia(doc, selector, path) {
+    const region = findContentRegion(doc, selector);
+    if (!region) {
+      return [];
+    }
+
+    return Array.from(region.querySelectorAll(Object.keys(MEDIA_SOURCE_ATTRIBUTES).join(', ')))
+            .map(elem => {
+              const tag = elem.tagName.toLowerCase();
+              const srcset = (elem.getAttribute('srcset') || '').split(',')[0].trim().split(/\s+/)[0];
+              const src = (elem.getAttribute(MEDIA_SOURCE_ATTRIBUTES[tag]) || srcset || '').trim();
+              return {
+                tag,
+                src: src ? this.urlNormalizer.normalize(src, path) : '',
+                alt: tag === 'img' ? elem.getAttribute('alt') : null
+              };
+            })
+            // e.g. a <video> whose sources are child <source> elements.
+            .filter(item => item.src !== '');
+  }
+
+  /**
+   * A static helper function to get a configured check instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance.
+   */
+  static async GetInstance(logger, config) {
+    return new MediaInventoryCheck(logger, config);
+  }
+}
+
+module.exports = MediaInventoryCheck;
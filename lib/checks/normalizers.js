@@ -0,0 +1,64 @@
+
+/**
+ * The names of the normalizers that can be used in check definitions.
+ */
+const NORMALIZER_NAMES = Object.freeze([
+  "trim",
+  "collapseWhitespace",
+  "lowercase",
+  "url",
+  "dctermsType"
+]);
+
+/**
+ * Creates the named normalizers used by check definitions. Each normalizer
+ * is a function taking the value and the path of the page it came from.
+ *
+ * @param {Object} options the options for the normalizers
+ * @param {UrlNormalizer} options.urlNormalizer the normalizer for URL values
+ * @param {Object} options.dctermsTypeMap a map of source dcterms.type values to the values expected on the destination.
+ * @returns {Object} the normalizer functions keyed by name
+ */
+function createNormalizers({
+  urlNormalizer,
+  dctermsTypeMap = {}
+}) {
+  return {
+    trim: value => value.trim(),
+    collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+    lowercase: value => value.toLowerCase(),
+    url: (value, pagePath) => urlNormalizer.normalize(value, pagePath),
+    // The new CMS renames some content types on purpose.
+    dctermsType: value => Object.prototype.hasOwnProperty.call(dctermsTypeMap, value) ? dctermsTypeMap[value] : value
+  };
+}
+
+/**
+ * Gets the normalizer function for an entry in a check definition's
+ * normalizers list. An entry is either the name of a normalizer, or an
+ * object of the form { "map": { "old value": "new value" } }.
+ *
+ * @param {String|Object} spec the normalizer entry
+ * @param {Object} normalizers the named normalizers
+ * @returns {Function} the normalizer function
+ */
+function resolveNormalizer(spec, normalizers) {
+  if (typeof spec === 'string') {
+    if (!normalizers[spec]) {
+      throw new Error(`Unknown normalizer ${spec}`);
+    }
+    return normalizers[spec];
+  }
+
+  if (spec && typeof spec.map === 'object') {
+    return value => Object.prototype.hasOwnProperty.call(spec.map, value) ? spec.map[value] : value;
+  }
+
+  throw new Error(`Invalid normalizer ${JSON.stringify(spec)}`);
+}
+
+module.exports = {
+  NORMALIZER_NAMES,
+  createNormalizers,
+  resolveNormalizer
+};
@@ -0,0 +1,293 @@
+const {
+  NORMALIZER_NAMES,
+  resolveNormalizer
+} = require('./normalizers');
+const {
+  SEVERITIES,
+  isSeverity
+} = require('./severity');
+
+const EXTRACT_TYPES = Object.freeze([
+  "attribute",
+  "text",
+  "innerHTML",
+  "header"
+]);
+
+/**
+ * This class implements a declarative check, defined in configuration,
+ * that compares the values a CSS selector (or response header) extracts
+ * from the source and destination pages.
+ */
+class SelectorCheck {
+
+  /**
+   * Creates a new instance of a SelectorCheck
+   *
+   * @param {Object} definition the check definition.
+   * @param {string} definition.id The id of the check, reported as the issue's check.
+   * @param {string} definition.selector The CSS selector of the element(s) to compare.
+   * @param {string} definition.extract What to extract: attribute, text, innerHTML or header.
+   * @param {string} definition.attribute The attribute to extract when extract is attribute.
+   * @param {string} definition.header The response header to compare when extract is header.
+   * @param {string} definition.keyAttribute An attribute whose value is paired with each value (e.g. hreflang).
+   * @param {boolean} definition.multiple Compare all matches as a set of values, ignoring order.
+   * @param {string} definition.split A separator used to split each value into a list, when multiple.
+   * @param {Array} definition.normalizers The normalizers to apply to values before comparing.
+   * @param {Array} definition.include An array of regexes; when set, only matching paths are checked.
+   * @param {Array} definition.exclude An array of regexes of paths that are not checked.
+   * @param {string} definition.severity The severity of the issues: error (the default), warning or info.
+   * @param {Object} namedNormalizers The normalizer functions available by name.
+   */
+  constructor(definition, namedNormalizers) {
+
+    const errors = SelectorCheck.ValidateDefinition(definition);
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+
+    const {
+      id,
+      selector,
+      extract = "attribute",
+      attribute = "content",
+      header,
+      keyAttribute,
+      multiple = false,
+      split,
+      normalizers = [],
+      include = [],
+      exclude = [],
+      severity = SEVERITIES.ERROR
+    } = definition;
+
+    this.id = id;
+    this.selector = selector;
+    this.extract = extract;
+    this.attribute = attribute;
+    this.header = header ? header.toLowerCase() : header;
+    this.keyAttribute = keyAttribute;
+    this.multiple = multiple;
+    this.split = split;
+    this.normalizers = normalizers.map(spec => resolveNormalizer(spec, namedNormalizers));
+    this.include = include.map(regex => new RegExp(regex));
+    this.exclude = exclude.map(regex => new RegExp(regex));
+    this.severity = severity;
+  }
+
+  /**
+   * Determines if this check should be run for a path.
+   *
+   * @param {string} path the path of the page
+   */
+  appliesTo(path) {
+    if (this.include.length > 0 && !this.include.some(regex => regex.test(path))) {
+      return false;
+    }
+    return !this.exclude.some(regex => regex.test(path));
+  }
+
+  /**
+   * Runs the check against a page.
+   *
+   * @param {Object} page the page to check
+   * @param {string} page.path the path of the page
+   * @param {*} page.sourceDoc the source JSDom object
+   * @param {*} page.destinationDoc the destination JSDom object
+   * @param {Object} page.sourceHeaders the source response headers
+   * @param {Object} page.destinationHeaders the destination response headers
+   * @returns {Array} an array of issues
+   */
+  check({ path, sourceDoc, destinationDoc, sourceHeaders, destinationHeaders }) {
+    const sourceRaw = this.getRawValues(sourceDoc, sourceHeaders);
+    const destinationRaw = this.getRawValues(destinationDoc, destinationHeaders);
+
+    return this.multiple ?
+            this.compareSets(path, sourceRaw, destinationRaw) :
+            this.compareSingle(path, sourceRaw[0], destinationRaw[0]);
+  }
+
+  /**
+   * Compares the first value found on each page. The raw values are reported,
+   * so a normalized difference shows what is actually on the pages.
+   *
+   * @param {string} path the path of the page
+   * @param {Object} source the source { key, value }, if one was found
+   * @param {Object} destination the destination { key, value }, if one was found
+   */
+  compareSingle(path, source, destination) {
+    const sourceData = source ? source.value : "VALUE_NOT_FOUND";
+    const destinationData = destination ? destination.value : "VALUE_NOT_FOUND";
+
+    // Only found values are normalized, so a missing value never matches a normalized value.
+    const sourceCompare = source ? this.normalize(sourceData, path) : sourceData;
+    const destinationCompare = destination ? this.normalize(destinationData, path) : destinationData;
+
+    if (sourceCompare !== destinationCompare) {
+      return [{
+        check: this.id,
+        severity: this.severity,
+        source: sourceData,
+        destination: destinationData
+      }];
+    } else {
+      return [];
+    }
+  }
+
+  /**
+   * Compares all the values found on each page as sets, ignoring order.
+   *
+   * @param {string} path the path of the page
+   * @param {Array} sourceRaw the source values
+   * @param {Array} destinationRaw the destination values
+   */
+  compareSets(path, sourceRaw, destinationRaw) {
+    const sourceData = this.getValueSet(path, sourceRaw);
+    const destinationData = this.getValueSet(path, destinationRaw);
+
+    if (sourceData !== destinationData) {
+      return [{
+        check: this.id,
+        severity: this.severity,
+        source: sourceData,
+        destination: destinationData
+      }];
+    } else {
+      return [];
+    }
+  }
+
+  /**
+   * Gets the normalized, unique and sorted values of a page as a string.
+   *
+   * @param {string} path the path of the page
+   * @param {Array} rawValues the { key, value } pairs found on the page
+   * @returns {String} the values joined by commas
+   */
+  getValueSet(path, rawValues) {
+    const values = [];
+
+    rawValues.forEach(({ key, value }) => {
+      const parts = this.split ? value.split(this.split) : [ value ];
+      parts
+        .map(part => this.normalize(part, path).trim())
+        .filter(part => part !== '')
+        .forEach(part => {
+          values.push(key !== undefined ? `${key}=${part}` : part);
+        });
+    });
+
+    const set = Array.from(new Set(values)).sort();
+
+    return set.length ? set.join(', ') : "VALUE_NOT_FOUND";
+  }
+
+  /**
+   * Applies the normalizers to a value.
+   *
+   * @param {String} value the value
+   * @param {string} path the path of the page
+   */
+  normalize(value, path) {
+    return this.normalizers.reduce((acc, normalizer) => normalizer(acc, path), value);
+  }
+
+  /**
+   * Extracts the values for this check from a page.
+   *
+   * @param {*} doc the JSDom object
+   * @param {Object} headers the response headers
+   * @returns {Array} an array of { key, value }, with only the first match unless multiple.
+   */
+  getRawValues(doc, headers) {
+    if (this.extract === 'header') {
+      const value = headers ? headers[this.header] : undefined;
+      if (value === undefined) {
+        return [];
+      }
+      return (Array.isArray(value) ? value : [ value ]).map(item => ({ value: String(item) }));
+    }
+
+    const document = doc.window.document;
+    const elems = this.multiple ?
+                    Array.from(document.querySelectorAll(this.selector)) :
+                    [ document.querySelector(this.selector) ].filter(elem => elem);
+
+    return elems.map(elem => ({
+      key: this.keyAttribute ? (elem.getAttribute(this.keyAttribute) || '').trim().toLowerCase() : undefined,
+      value: this.extractValue(elem)
+    })).filter(({ value }) => value !== null);
+  }
+
+  /**
+   * Extracts the value from a matched element.
+   *
+   * @param {*} elem the element
+   * @returns {String|null} the value, or null if the attribute does not exist
+   */
+  extractValue(elem) {
+    switch (this.extract) {
+      case 'attribute':
+        return elem.getAttribute(this.attribute);
+      case 'text':
+        return elem.textContent;
+      case 'innerHTML':
+        return elem.innerHTML;
+      default:
+        throw new Error(`Unknown extract type ${this.extract} for check ${this.id}`);
+    }
+  }
+
+  /**
+   * A static method to validate a check definition.
+   * @param {Object} definition the check definition. See the constructor.
+   * @returns {Array} an array of errors
+   */
+  static ValidateDefinition(definition) {
+    let errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return [ new Error("A check definition must be an object") ];
+    }
+
+    const label = definition.id || JSON.stringify(definition);
+    const extract = definition.extract || "attribute";
+
+    if (!definition.id) {
+      errors.push(new Error(`You must supply an id for check ${label}`));
+    }
+
+    if (!EXTRACT_TYPES.includes(extract)) {
+      errors.push(new Error(`Unknown extract type ${extract} for check ${label}`));
+    }
+
+    if (extract === 'header') {
+      if (!definition.header) {
+        errors.push(new Error(`You must supply a header for check ${label}`));
+      }
+    } else if (!definition.selector) {
+      errors.push(new Error(`You must supply a selector for check ${label}`));
+    }
+
+    [ "normalizers", "include", "exclude" ].forEach(key => {
+      if (definition[key] !== undefined && !Array.isArray(definition[key])) {
+        errors.push(new Error(`${key} must be an array for check ${label}`));
+      }
+    });
+
+    if (definition.severity !== undefined && !isSeverity(definition.severity)) {
+      errors.push(new Error(`Unknown severity ${definition.severity} for check ${label}`));
+    }
+
+    if (Array.isArray(definition.normalizers)) {
+      definition.normalizers
+        .filter(spec => typeof spec === 'string' && !NORMALIZER_NAMES.includes(spec))
+        .forEach(spec => errors.push(new Error(`Unknown normalizer ${spec} for check ${label}`)));
+    }
+
+    return errors;
+  }
+}
+
+module.exports = SelectorCheck;
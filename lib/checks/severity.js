@@ -0,0 +1,23 @@
+
+/**
+ * The severities an issue can have.
+ */
+const SEVERITIES = Object.freeze({
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+});
+
+/**
+ * Determines if a value is a known severity.
+ *
+ * @param {String} severity the value to check
+ */
+function isSeverity(severity) {
+  return Object.values(SEVERITIES).includes(severity);
+}
+
+module.exports = {
+  SEVERITIES,
+  isSeverity
+};
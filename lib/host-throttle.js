@@ -0,0 +1,134 @@
+/**
+ * Class used to limit the requests made to a single host: how many
+ * can be open at once, and how many can start each second (a token
+ * bucket). Requests over either limit wait in a first in, first out queue.
+ */
+class HostThrottle {
+
+  /**
+   * Creates a new instance of a HostThrottle
+   *
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {int} config.maxConcurrent The most requests that can be open at once.
+   * @param {Number} config.requestsPerSecond The most requests that can start each second, 0 for no limit.
+   * @param {int} config.burst The most requests that can start at once after the host was idle.
+   */
+  constructor({
+    maxConcurrent = 5,
+    requestsPerSecond = 0,
+    burst = 1
+  } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+
+    this.active = 0;
+    this.queue = [];
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.refillTimer = null;
+  }
+
+  /**
+   * Runs a request once the limits allow it.
+   *
+   * @param {Function} request an async function making the request
+   * @returns {*} the result of the request
+   */
+  async run(request) {
+    await this.acquire();
+    try {
+      return await request();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Waits for a turn to make a request. Every acquire must be followed by a release.
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Ends a request, letting the next waiting request start.
+   */
+  release() {
+    this.active--;
+    this.processQueue();
+  }
+
+  /**
+   * Starts as many waiting requests as the limits allow.
+   */
+  processQueue() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      if (!this.takeToken()) {
+        this.scheduleRefill();
+        return;
+      }
+
+      this.active++;
+      const resolve = this.queue.shift();
+      resolve();
+    }
+  }
+
+  /**
+   * Takes a token from the bucket, if there is one.
+   *
+   * @returns {boolean} true if a request can start now
+   */
+  takeToken() {
+    if (!this.requestsPerSecond) {
+      return true;
+    }
+
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.lastRefill) * this.requestsPerSecond) / 1000
+    );
+    this.lastRefill = now;
+
+    if (this.tokens < 1) {
+      return false;
+    }
+
+    this.tokens--;
+    return true;
+  }
+
+  /**
+   * Processes the queue again when the next token is available.
+   */
+  scheduleRefill() {
+    if (this.refillTimer) {
+      return;
+    }
+
+    const wait = Math.ceil(((1 - this.tokens) * 1000) / this.requestsPerSecond);
+    this.refillTimer = setTimeout(() => {
+      this.refillTimer = null;
+      this.processQueue();
+    }, wait);
+  }
+
+  /**
+   * Gets the number of open and waiting requests.
+   *
+   * @returns {Object} { active, waiting }
+   */
+  getStats() {
+    return {
+      active: this.active,
+      waiting: this.queue.length
+    };
+  }
+}
+
+module.exports = HostThrottle;
@@ -0,0 +1,163 @@
+const crypto              = require('crypto');
+const fs                  = require('fs');
+const path                = require('path');
+const util                = require('util');
+const { URL }             = require('url');
+
+const readdirAsync = util.promisify(fs.readdir);
+const readFileAsync = util.promisify(fs.readFile);
+const unlinkAsync = util.promisify(fs.unlink);
+
+const NETWORK_METHODS = Object.freeze({
+  "GET": "GET",
+  "HEAD": "HEAD",
+  "GET_BINARY": "GET_BINARY",
+  "RESPONSE": "RESPONSE"
+});
+
+const ENTRY_EXTENSION = '.json';
+const BODY_EXTENSION = '.body';
+
+/**
+ * Gets the key of a cache entry, a hash of the method and the full URL,
+ * including its query string.
+ *
+ * @param {string} method the method of the request, one of NETWORK_METHODS
+ * @param {string} url the URL
+ * @returns {string} the key
+ */
+function getCacheKey(method, url) {
+  return crypto.createHash('sha256').update(`${method} ${url}`).digest('hex');
+}
+
+/**
+ * Gets the files of a cache entry. Entries are grouped in a folder for
+ * each host, then by the first characters of the key.
+ *
+ * @param {string} cachePath the folder of the cache
+ * @param {string} method the method of the request, one of NETWORK_METHODS
+ * @param {string} url the URL
+ * @returns {Object} { entryPath, bodyPath }, the entry's JSON file and the file of its body, if any
+ */
+function getEntryPaths(cachePath, method, url) {
+  const key = getCacheKey(method, url);
+  const basePath = path.join(
+    cachePath,
+    getHostFolder(new URL(url).host),
+    key.substring(0, 2),
+    key
+  );
+
+  return {
+    entryPath: basePath + ENTRY_EXTENSION,
+    bodyPath: basePath + BODY_EXTENSION
+  };
+}
+
+/**
+ * Gets the folder name of a host, as ports cannot be written with a colon on every file system.
+ *
+ * @param {string} host the host (name and port)
+ * @returns {string} the folder name
+ */
+function getHostFolder(host) {
+  return host.toLowerCase().replace(/:/g, '_');
+}
+
+/**
+ * Determines if a cache entry is older than the cache duration.
+ *
+ * @param {Object} entry the cache entry
+ * @param {int} cacheDuration the milliseconds an entry is fresh for
+ * @returns {boolean} true if the entry has expired
+ */
+function isExpired(entry, cacheDuration) {
+  return (Date.now() - entry.cachedAt) >= cacheDuration;
+}
+
+/**
+ * Gets all the entries in a cache, or the entries of one host.
+ *
+ * @param {string} cachePath the folder of the cache
+ * @param {string} host the host (name and port) to list, if only one
+ * @returns {Array} the entries, each { entryPath, bodyPath, entry }
+ */
+async function listCacheEntries(cachePath, host) {
+  const root = host ? path.join(cachePath, getHostFolder(host)) : cachePath;
+  const entryPaths = await findEntryFiles(root);
+  const entries = [];
+
+  for (const entryPath of entryPaths) {
+    let entry;
+    try {
+      entry = JSON.parse(await readFileAsync(entryPath, 'utf8'));
+    } catch (err) {
+      // Not a cache entry, e.g. a file left by an older version.
+      continue;
+    }
+
+    entries.push({
+      entryPath,
+      bodyPath: entryPath.slice(0, -ENTRY_EXTENSION.length) + BODY_EXTENSION,
+      entry
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Finds the entry files under a folder.
+ *
+ * @param {string} folder the folder
+ * @returns {Array} the paths of the entry files
+ */
+async function findEntryFiles(folder) {
+  let items;
+  try {
+    items = await readdirAsync(folder, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const files = [];
+  for (const item of items) {
+    const itemPath = path.join(folder, item.name);
+    if (item.isDirectory()) {
+      files.push(...await findEntryFiles(itemPath));
+    } else if (item.name.endsWith(ENTRY_EXTENSION)) {
+      files.push(itemPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Removes a cache entry and its body.
+ *
+ * @param {Object} cacheEntry the entry, { entryPath, bodyPath }
+ */
+async function removeCacheEntry({ entryPath, bodyPath }) {
+  for (const filePath of [ entryPath, bodyPath ]) {
+    try {
+      await unlinkAsync(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+}
+
+module.exports = {
+  NETWORK_METHODS,
+  getCacheKey,
+  getEntryPaths,
+  isExpired,
+  listCacheEntries,
+  removeCacheEntry
+};
@@ -1,4 +1,40 @@
+const fs                        = require('fs');
+const path                      = require('path');
+const util                      = require('util');
 const { AbstractRecordLoader }  = require('loader-pipeline');
+const { formatCsvRow }          = require('../utils/csv');
+const { renderHtmlReport }      = require('../reports/html-report');
+const { renderJUnitReport }     = require('../reports/junit-report');
+const {
+  BASELINE_STATUS,
+  getIssueKey,
+  loadBaseline
+} = require('../reports/baseline');
+const { loadWaivers }           = require('../reports/waivers');
+const { getSitemapCoverage }    = require('../sources/sitemap-status');
+const {
+  SEVERITIES,
+  isSeverity
+} = require('../checks/severity');
+
+const mkdirAsync = util.promisify(fs.mkdir);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+const CSV_COLUMNS = [
+  "path",
+  "destinationPath",
+  "sitemapStatus",
+  "resourceType",
+  "check",
+  "severity",
+  "source",
+  "destination",
+  "errorStep",
+  "fetchErrors",
+  "sourceAttempts",
+  "destinationAttempts",
+  "baselineStatus"
+];
 
 /**
  * This class implements a load that saves the issues found
@@ -6,8 +42,66 @@ const { AbstractRecordLoader }  = require('loader-pipeline');
  */
 class CompareIssuesLoader extends AbstractRecordLoader {
 
-  constructor(logger) {
+  /**
+   * Creates a new instance of a CompareIssuesLoader
+   *
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.outputPath The path of the CSV file to write the issues to.
+   * @param {string} config.reportPath The path of the HTML report to write, if any.
+   * @param {string} config.sourceHost The migration source host, used for links in the report.
+   * @param {string} config.destinationHost The migration destination host, used for links in the report.
+   * @param {string} config.resultsPath The path of the JSON results file to write, for use as a later baseline.
+   * @param {string} config.baselinePath The path of a previous run's results file to compare against.
+   * @param {string} config.junitPath The path of the JUnit XML report to write, if any.
+   * @param {Object} config.thresholds The maximum number of issues allowed before the run fails.
+   * @param {int} config.thresholds.total The maximum number of issues across all checks.
+   * @param {Object} config.thresholds.checks The maximum number of issues keyed by check.
+   * @param {Array} config.thresholds.severities The severities of the issues counted. Defaults to error.
+   * @param {string} config.waiversPath The path of a JSON file of known, accepted differences.
+   * @param {Function} config.onEnd Called with the result of end(), { thresholdsExceeded }, so the application can fail the run.
+   */
+  constructor(logger, {
+    outputPath = false,
+    reportPath = false,
+    sourceHost = '',
+    destinationHost = '',
+    resultsPath = false,
+    baselinePath = false,
+    junitPath = false,
+    thresholds = {},
+    waiversPath = false,
+    onEnd = null
+  } = {}) {
     super(logger);
+
+    if (!outputPath) {
+      throw new Error("You must supply an outputPath");
+    }
+
+    this.outputPath = outputPath;
+    this.reportPath = reportPath;
+    this.sourceHost = sourceHost;
+    this.destinationHost = destinationHost;
+    this.resultsPath = resultsPath;
+    this.baselinePath = baselinePath;
+    this.junitPath = junitPath;
+    this.thresholds = {
+      total: thresholds.total,
+      checks: thresholds.checks || {},
+      severities: thresholds.severities || [ SEVERITIES.ERROR ]
+    };
+    this.thresholdsExceeded = false;
+    this.waiversPath = waiversPath;
+    this.onEnd = onEnd;
+
+    this.outputStream = null;
+    this.outputError = null;
+    this.pages = [];
+    this.baseline = null;
+    this.sitemapCoverage = undefined;
+    this.waivers = [];
+    this.waivedCount = 0;
   }
 
   /**
@@ -16,37 +110,611 @@ class CompareIssuesLoader extends AbstractRecordLoader {
    * @param {*} pageInfo the report about a page
    */
   async loadRecord(pageInfo) {
-    return;
+    if (!pageInfo) {
+      return;
+    }
+
+    // The source's coverage is of the whole sitemaps, even when only a sample is compared.
+    if (pageInfo.sourceInfo && pageInfo.sourceInfo.sitemapCoverage) {
+      this.sitemapCoverage = pageInfo.sourceInfo.sitemapCoverage;
+    }
+
+    const page = this.getPageSummary(pageInfo);
+
+    this.applyWaivers(page);
+
+    if (this.baseline) {
+      this.labelBaselineStatus(page);
+    }
+
+    this.pages.push(page);
+
+    await this.writeRows(this.getIssueRows(page));
+  }
+
+  /**
+   * Converts a page summary into the rows to be reported.
+   *
+   * @param {Object} page the summary of a page
+   * @returns {Array} an array of row objects keyed by CSV column
+   */
+  getIssueRows(page) {
+    const rows = this.getReportedIssues(page).map(issue => ({
+      path: page.path,
+      destinationPath: page.destinationPath,
+      sitemapStatus: page.sourceInfo.sitemapStatus,
+      resourceType: page.resourceType,
+      sourceAttempts: page.attempts.source,
+      destinationAttempts: page.attempts.destination,
+      ...issue
+    }));
+
+    // Fetch failures get a single row with all the errors, before the issues found without fetching.
+    if (page.errorStep) {
+      rows.unshift({
+        path: page.path,
+        destinationPath: page.destinationPath,
+        sitemapStatus: page.sourceInfo.sitemapStatus,
+        resourceType: page.resourceType,
+        errorStep: page.errorStep,
+        fetchErrors: page.fetchErrors.join(' | '),
+        sourceAttempts: page.attempts.source,
+        destinationAttempts: page.attempts.destination,
+        baselineStatus: page.baselineStatus
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Marks the issues of a page that match a waiver as waived, counting the
+   * matches of each waiver so stale waivers can be reported. Waived issues are
+   * left out of the reports and thresholds, and only kept in the results file
+   * so a later baseline comparison does not report them as resolved.
+   *
+   * @param {Object} page the summary of a page
+   */
+  applyWaivers(page) {
+    if (this.waivers.length === 0) {
+      return;
+    }
+
+    page.issues.forEach(issue => {
+      const waiver = this.waivers.find(candidate => candidate.matches(page.path, issue));
+      if (!waiver) {
+        return;
+      }
+
+      issue.waived = true;
+      waiver.matchCount++;
+      this.waivedCount++;
+    });
+  }
+
+  /**
+   * Gets the issues of a page that are reported, those that are not waived.
+   *
+   * @param {Object} page the summary of a page
+   * @returns {Array} the issues
+   */
+  getReportedIssues(page) {
+    return page.issues.filter(issue => !issue.waived);
+  }
+
+  /**
+   * Gets the loaded pages as they are reported, without their waived issues.
+   *
+   * @returns {Array} the page summaries
+   */
+  getReportedPages() {
+    return this.pages.map(page => ({
+      ...page,
+      issues: this.getReportedIssues(page)
+    }));
+  }
+
+  /**
+   * Gets the waivers that did not match any issue, logging each one.
+   *
+   * @returns {Array} the stale waivers
+   */
+  getStaleWaivers() {
+    const stale = this.waivers.filter(waiver => waiver.matchCount === 0);
+
+    stale.forEach(waiver => {
+      this.logger.warn(`Stale waiver: ${waiver.check} on ${waiver.path}, approved by ${waiver.approvedBy} (${waiver.reason}), no longer matches an issue`);
+    });
+
+    return stale;
+  }
+
+  /**
+   * Gets the issues of a page in the form stored in the results file.
+   * Fetch failures are stored as an issue whose check is the failing step.
+   * Waived issues are kept, so a later run does not report them as resolved.
+   *
+   * @param {Object} page the summary of a page
+   * @returns {Array} an array of { path, check, source, destination, waived }
+   */
+  getResultIssues(page) {
+    const issues = page.issues.map(issue => ({
+      path: page.path,
+      check: issue.check,
+      source: issue.source,
+      destination: issue.destination,
+      waived: issue.waived
+    }));
+
+    if (page.errorStep) {
+      issues.unshift({
+        path: page.path,
+        check: page.errorStep,
+        source: '',
+        destination: page.fetchErrors.join(' | ')
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Labels each issue of a page as new or unchanged since the baseline run.
+   *
+   * @param {Object} page the summary of a page
+   */
+  labelBaselineStatus(page) {
+    const getStatus = (issue) => this.baseline.issues.has(getIssueKey({ path: page.path, ...issue })) ?
+                                    BASELINE_STATUS.UNCHANGED :
+                                    BASELINE_STATUS.NEW;
+
+    if (page.errorStep) {
+      page.baselineStatus = getStatus(this.getResultIssues(page)[0]);
+    }
+
+    page.issues.forEach(issue => {
+      issue.baselineStatus = getStatus(issue);
+    });
+  }
+
+  /**
+   * Gets the baseline issues that no longer occur. Only the pages checked in
+   * this run are considered, so a partial run does not resolve everything else.
+   *
+   * @returns {Array} an array of issues from the baseline results
+   */
+  getResolvedIssues() {
+    const checkedPaths = new Set();
+    const currentKeys = new Set();
+
+    this.pages.forEach(page => {
+      checkedPaths.add(page.path);
+      this.getResultIssues(page).forEach(issue => {
+        currentKeys.add(getIssueKey(issue));
+      });
+    });
+
+    return Array.from(this.baseline.issues.entries())
+            .filter(([key, issue]) => checkedPaths.has(issue.path) && !currentKeys.has(key))
+            .map(([, issue]) => ({ ...issue, baselineStatus: BASELINE_STATUS.RESOLVED }));
+  }
+
+  /**
+   * Logs a summary of the differences from the baseline run, listing
+   * the checks with new issues. Waived issues are left out.
+   *
+   * @param {Array} resolved the resolved issues
+   */
+  logBaselineSummary(resolved) {
+    const newByCheck = {};
+    let unchanged = 0;
+
+    const countIssue = (check, status) => {
+      if (status === BASELINE_STATUS.NEW) {
+        newByCheck[check] = (newByCheck[check] || 0) + 1;
+      } else {
+        unchanged++;
+      }
+    };
+
+    this.pages.forEach(page => {
+      if (page.errorStep) {
+        countIssue(page.errorStep, page.baselineStatus);
+      }
+      this.getReportedIssues(page).forEach(issue => countIssue(issue.check, issue.baselineStatus));
+    });
+
+    const newCount = Object.keys(newByCheck).reduce((acc, check) => acc + newByCheck[check], 0);
+
+    this.logger.info(`Compared to baseline from ${this.baseline.generated}: ${newCount} new, ${resolved.length} resolved, ${unchanged} unchanged issues.`);
+
+    Object.keys(newByCheck)
+      .sort((a, b) => newByCheck[b] - newByCheck[a])
+      .forEach(check => {
+        this.logger.warn(`Regression: ${newByCheck[check]} new ${check} issues`);
+      });
+  }
+
+  /**
+   * Writes the results file for this run.
+   */
+  async writeResults() {
+    const results = {
+      generated: new Date().toISOString(),
+      sitemapCoverage: this.getSitemapCoverage(),
+      issues: []
+    };
+
+    this.pages.forEach(page => {
+      results.issues.push(...this.getResultIssues(page));
+    });
+
+    await this.ensureDirectory(this.resultsPath);
+    await writeFileAsync(this.resultsPath, JSON.stringify(results), 'utf8');
+    this.logger.info(`Wrote results to ${this.resultsPath}`);
+  }
+
+  /**
+   * Gets how much of the source sitemap was found in the destination
+   * sitemap, when the sitemaps were compared. This is the coverage the source
+   * found, or if it gave none, the coverage of the loaded pages.
+   *
+   * @returns {Object} the coverage, see getSitemapCoverage, or undefined if the sitemaps were not compared
+   */
+  getSitemapCoverage() {
+    if (this.sitemapCoverage) {
+      return this.sitemapCoverage;
+    }
+
+    return getSitemapCoverage(
+      this.pages
+        .map(page => page.sourceInfo.sitemapStatus)
+        .filter(status => status !== undefined)
+    );
+  }
+
+  /**
+   * Counts the issues of the threshold severities found for each check,
+   * including fetch failures counted as errors under their error step.
+   * Issues without a severity are errors, as in the JUnit report. Waived
+   * issues are not counted.
+   *
+   * @returns {Object} an object with the total and the counts keyed by check
+   */
+  getIssueCounts() {
+    const checks = {};
+    let total = 0;
+
+    const countIssue = (check) => {
+      checks[check] = (checks[check] || 0) + 1;
+      total++;
+    };
+
+    this.pages.forEach(page => {
+      if (page.errorStep && this.thresholds.severities.includes(SEVERITIES.ERROR)) {
+        countIssue(page.errorStep);
+      }
+
+      this.getReportedIssues(page)
+        .filter(issue => this.thresholds.severities.includes(issue.severity || SEVERITIES.ERROR))
+        .forEach(issue => countIssue(issue.check));
+    });
+
+    return { total, checks };
+  }
+
+  /**
+   * Compares the issue counts against the configured thresholds, logging
+   * each threshold that was exceeded.
+   *
+   * @returns {Boolean} true if any threshold was exceeded
+   */
+  checkThresholds() {
+    const counts = this.getIssueCounts();
+    let exceeded = false;
+
+    if (this.thresholds.total !== undefined && counts.total > this.thresholds.total) {
+      this.logger.error(`Threshold exceeded: ${counts.total} issues found, ${this.thresholds.total} allowed`);
+      exceeded = true;
+    }
+
+    Object.keys(this.thresholds.checks).forEach(check => {
+      const count = counts.checks[check] || 0;
+      if (count > this.thresholds.checks[check]) {
+        this.logger.error(`Threshold exceeded: ${count} ${check} issues found, ${this.thresholds.checks[check]} allowed`);
+        exceeded = true;
+      }
+    });
+
+    return exceeded;
+  }
+
+  /**
+   * Writes the JUnit XML report for all the loaded pages.
+   */
+  async writeJUnitReport() {
+    const xml = renderJUnitReport({ pages: this.getReportedPages() });
+
+    await this.ensureDirectory(this.junitPath);
+    await writeFileAsync(this.junitPath, xml, 'utf8');
+    this.logger.info(`Wrote JUnit report to ${this.junitPath}`);
+  }
+
+  /**
+   * Gets the subset of a page comparison that is kept for the reports.
+   *
+   * @param {Object} pageInfo the report about a page
+   * @returns {Object} the page summary
+   */
+  getPageSummary(pageInfo) {
+    // The coverage is the same for every page, so it is kept once by the loader.
+    const sourceInfo = { ...pageInfo.sourceInfo };
+    delete sourceInfo.sitemapCoverage;
+
+    return {
+      path: pageInfo.path,
+      destinationPath: pageInfo.destinationPath || pageInfo.path,
+      resourceType: pageInfo.resourceType,
+      sourceInfo,
+      attempts: pageInfo.attempts || { source: 0, destination: 0 },
+      errorStep: pageInfo.errorStep,
+      fetchErrors: (pageInfo.fetchErrors || [])
+                    .map(err => (err && err.message) ? err.message : String(err)),
+      issues: (pageInfo.errs || []).map(issue => ({
+        check: issue.check,
+        severity: issue.severity,
+        source: issue.source,
+        destination: issue.destination
+      }))
+    };
+  }
+
+  /**
+   * Writes the HTML report for all the loaded pages.
+   *
+   * @param {Array} resolved the issues resolved since the baseline run, if any
+   * @param {Array} staleWaivers the waivers that did not match any issue
+   */
+  async writeReport(resolved, staleWaivers) {
+    const html = renderHtmlReport({
+      pages: this.getReportedPages(),
+      sourceHost: this.sourceHost,
+      destinationHost: this.destinationHost,
+      resolved,
+      sitemapCoverage: this.getSitemapCoverage(),
+      waivedCount: this.waivedCount,
+      staleWaivers: staleWaivers.map(waiver => waiver.toJSON())
+    });
+
+    await this.ensureDirectory(this.reportPath);
+    await writeFileAsync(this.reportPath, html, 'utf8');
+    this.logger.info(`Wrote HTML report to ${this.reportPath}`);
+  }
+
+  /**
+   * Creates the directory for an output file if it does not exist.
+   *
+   * @param {string} filePath the path of the file
+   */
+  async ensureDirectory(filePath) {
+    const dirName = path.dirname(filePath);
+    try {
+      await mkdirAsync(dirName, { recursive: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        this.logger.error(`Could not create directory ${dirName}`);
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Writes report rows to the output file.
+   *
+   * @param {Array} rows an array of row objects keyed by CSV column
+   */
+  async writeRows(rows) {
+    for (const row of rows) {
+      await this.writeRow(CSV_COLUMNS.map(column => row[column]));
+    }
+  }
+
+  /**
+   * Writes a single row to the output file, waiting for the stream
+   * to drain if its buffer is full.
+   *
+   * @param {Array} values the values for the row
+   * @throws the error of the output file, if writing to it failed
+   */
+  async writeRow(values) {
+    if (this.outputError) {
+      throw this.outputError;
+    }
+
+    const stream = this.outputStream;
+    if (!stream.write(formatCsvRow(values))) {
+      await new Promise((resolve, reject) => {
+        const onDrain = () => {
+          stream.removeListener('error', reject);
+          resolve();
+        };
+        stream.once('drain', onDrain);
+        stream.once('error', (err) => {
+          stream.removeListener('drain', onDrain);
+          reject(err);
+        });
+      });
+    }
+  }
+
+  /**
+   * Opens the output file, keeping the first error writing to it so the
+   * loader fails instead of the process crashing on an unhandled error.
+   */
+  openOutput() {
+    this.outputError = null;
+    this.outputStream = fs.createWriteStream(this.outputPath, { encoding: 'utf8' });
+
+    this.outputStream.on('error', (err) => {
+      if (!this.outputError) {
+        this.logger.error(`Could not write issue report ${this.outputPath}: ${err.message}`);
+        this.outputError = err;
+      }
+    });
+  }
+
+  /**
+   * Closes the output file, if it is open.
+   * @throws the error of the output file, if writing to it failed
+   */
+  async closeOutput() {
+    if (!this.outputStream) {
+      return;
+    }
+
+    const stream = this.outputStream;
+    this.outputStream = null;
+
+    if (!this.outputError) {
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+      });
+    }
+
+    if (this.outputError) {
+      throw this.outputError;
+    }
   }
 
   /**
    * Called before any resources are loaded.
    */
   async begin() {
-    return;
+    if (this.waiversPath) {
+      try {
+        this.waivers = await loadWaivers(this.waiversPath);
+      } catch (err) {
+        this.logger.error(`Could not load waivers ${this.waiversPath}`);
+        throw err;
+      }
+    }
+
+    if (this.baselinePath) {
+      try {
+        this.baseline = await loadBaseline(this.baselinePath);
+      } catch (err) {
+        this.logger.error(`Could not load baseline results ${this.baselinePath}`);
+        throw err;
+      }
+    }
+
+    await this.ensureDirectory(this.outputPath);
+
+    this.openOutput();
+    await this.writeRow(CSV_COLUMNS);
   }
 
   /**
    * Called upon a fatal loading error. Use this to clean up any items created on startup
    */
   async abort() {
-    return;
+    try {
+      await this.closeOutput();
+    } catch (err) {
+      // Already logged, and the run is failing anyway.
+    }
   }
 
   /**
    * Method called after all resources have been loaded
+   * @returns {Object} { thresholdsExceeded }, true if the run should fail
    */
   async end() {
-    return;
+    let resolved;
+
+    if (this.baseline) {
+      resolved = this.getResolvedIssues();
+      await this.writeRows(resolved);
+      this.logBaselineSummary(resolved);
+    }
+
+    await this.closeOutput();
+    this.logger.info(`Wrote issue report to ${this.outputPath}`);
+
+    if (this.waivers.length > 0) {
+      this.logger.info(`${this.waivedCount} issues were waived.`);
+    }
+
+    const coverage = this.getSitemapCoverage();
+    if (coverage) {
+      this.logger.info(`Sitemap coverage: ${coverage.percent.toFixed(1)}% of source paths are in the destination sitemap (${coverage.sourceOnly} not migrated, ${coverage.destinationOnly} only on the destination).`);
+    }
+    const staleWaivers = this.getStaleWaivers();
+
+    if (this.resultsPath) {
+      await this.writeResults();
+    }
+
+    if (this.reportPath) {
+      await this.writeReport(resolved, staleWaivers);
+    }
+
+    if (this.junitPath) {
+      await this.writeJUnitReport();
+    }
+
+    // Let the process finish normally, the application signals the failure to CI.
+    this.thresholdsExceeded = this.checkThresholds();
+
+    const result = {
+      thresholdsExceeded: this.thresholdsExceeded
+    };
+
+    if (this.onEnd) {
+      this.onEnd(result);
+    }
+
+    return result;
   }
 
-/**
- * A static method to validate a configuration object against this module type's schema
- * @param {Object} config configuration parameters to use for this instance.
- */
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.outputPath The path of the CSV file to write the issues to.
+   * @param {string} config.reportPath The path of the HTML report to write, if any.
+   * @param {string} config.resultsPath The path of the JSON results file to write, if any.
+   * @param {string} config.baselinePath The path of a previous run's results file, if any.
+   * @param {string} config.junitPath The path of the JUnit XML report to write, if any.
+   * @param {Object} config.thresholds The maximum number of issues allowed before the run fails.
+   * @param {string} config.waiversPath The path of a JSON file of known, accepted differences.
+   */
   static ValidateConfig(config) {
     let errors = [];
 
+    if (!config.outputPath) {
+      errors.push(new Error("You must supply an outputPath"));
+    }
+
+    if (config.thresholds) {
+      const { total, checks = {}, severities } = config.thresholds;
+      if (total !== undefined && !Number.isInteger(total)) {
+        errors.push(new Error("thresholds.total must be an integer"));
+      }
+      Object.keys(checks).forEach(check => {
+        if (!Number.isInteger(checks[check])) {
+          errors.push(new Error(`thresholds.checks.${check} must be an integer`));
+        }
+      });
+      if (severities !== undefined && (!Array.isArray(severities) || !severities.every(isSeverity))) {
+        errors.push(new Error(`thresholds.severities must be an array of ${Object.values(SEVERITIES).join(', ')}`));
+      }
+    }
+
+    if (config.onEnd !== undefined && typeof config.onEnd !== 'function') {
+      errors.push(new Error("onEnd must be a function"));
+    }
+
     return errors;
   }
 
@@ -54,10 +722,14 @@ class CompareIssuesLoader extends AbstractRecordLoader {
    * A static helper function to get a configured source instance
    * @param {Object} logger the logger to use
    * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.outputPath The path of the CSV file to write the issues to.
    */
   static async GetInstance(logger, config) {
+    if (!config) {
+      throw new Error("Config must be supplied");
+    }
 
-    return new CompareIssuesLoader(logger);
+    return new CompareIssuesLoader(logger, config);
   }
 }
 
@@ -0,0 +1,127 @@
+const fs              = require('fs');
+const util            = require('util');
+const { parseCsv }    = require('./utils/csv');
+
+const readFileAsync = util.promisify(fs.readFile);
+
+/**
+ * Class used to map a source path to the path it was migrated
+ * to on the destination, for sections that were renamed.
+ */
+class PathMapper {
+
+  /**
+   * Creates a new instance of a PathMapper
+   *
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {Object} config.paths Destination paths keyed by source path.
+   * @param {Array} config.rules Rewrite rules, each { pattern, replacement } where pattern is a regex.
+   * The first matching rule is used, and replacement can refer to groups, e.g. "/news/$1".
+   */
+  constructor({
+    paths = {},
+    rules = []
+  } = {}) {
+    this.paths = new Map(Object.keys(paths).map(sourcePath => [ sourcePath, paths[sourcePath] ]));
+    this.rules = rules.map(({ pattern, replacement }) => ({
+      regex: new RegExp(pattern),
+      replacement
+    }));
+  }
+
+  /**
+   * Adds exact path mappings, replacing any existing mapping of the same source path.
+   *
+   * @param {Map} paths destination paths keyed by source path
+   */
+  addPaths(paths) {
+    paths.forEach((destinationPath, sourcePath) => this.paths.set(sourcePath, destinationPath));
+  }
+
+  /**
+   * Gets the destination path of a source path. Exact mappings take
+   * precedence over rules, and unmapped paths are the same on both hosts.
+   *
+   * @param {string} sourcePath the path on the source host
+   * @returns {string} the path on the destination host
+   */
+  map(sourcePath) {
+    if (this.paths.has(sourcePath)) {
+      return this.paths.get(sourcePath);
+    }
+
+    const rule = this.rules.find(candidate => candidate.regex.test(sourcePath));
+    if (rule) {
+      return sourcePath.replace(rule.regex, rule.replacement);
+    }
+
+    return sourcePath;
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @returns {Array} an array of errors
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    if (config.paths !== undefined && (typeof config.paths !== 'object' || Array.isArray(config.paths))) {
+      errors.push(new Error("paths must be an object of destination paths keyed by source path"));
+    }
+
+    if (config.rules !== undefined) {
+      if (!Array.isArray(config.rules)) {
+        errors.push(new Error("rules must be an array"));
+      } else {
+        config.rules.forEach(rule => {
+          if (!rule || !rule.pattern || typeof rule.replacement !== 'string') {
+            errors.push(new Error(`You must supply a pattern and replacement for rule ${JSON.stringify(rule)}`));
+            return;
+          }
+          try {
+            new RegExp(rule.pattern);
+          } catch (err) {
+            errors.push(new Error(`Invalid pattern ${rule.pattern}: ${err.message}`));
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Loads exact path mappings from a CSV file of source and destination
+ * paths, the first two columns of each row. A first row that is not a
+ * path (i.e. a header) is skipped.
+ *
+ * @param {string} csvPath the path to the CSV file
+ * @returns {Map} destination paths keyed by source path
+ */
+async function loadPathMapCsv(csvPath) {
+  const rows = parseCsv(await readFileAsync(csvPath, 'utf8'));
+
+  if (rows.length > 0 && !rows[0][0].trim().startsWith('/')) {
+    rows.shift();
+  }
+
+  const paths = new Map();
+
+  rows.forEach(row => {
+    const sourcePath = (row[0] || '').trim();
+    const destinationPath = (row[1] || '').trim();
+    if (!sourcePath || !destinationPath) {
+      throw new Error(`${csvPath} has a row without a source and destination path: ${row.join(',')}`);
+    }
+    paths.set(sourcePath, destinationPath);
+  });
+
+  return paths;
+}
+
+module.exports = {
+  PathMapper,
+  loadPathMapCsv
+};
@@ -0,0 +1,52 @@
+const fs              = require('fs');
+const util            = require('util');
+
+const readFileAsync = util.promisify(fs.readFile);
+
+const BASELINE_STATUS = Object.freeze({
+  NEW: 'new',
+  UNCHANGED: 'unchanged',
+  RESOLVED: 'resolved'
+});
+
+/**
+ * Gets the key used to match an issue between runs. The values are part
+ * of the key, as a check can report several issues for one page, e.g.
+ * one for each broken link.
+ *
+ * @param {Object} issue the issue, { path, check, source, destination }
+ * @returns {String} the key
+ */
+function getIssueKey({ path, check, source = '', destination = '' }) {
+  return JSON.stringify([ path, check, String(source), String(destination) ]);
+}
+
+/**
+ * Loads the results of a previous run.
+ *
+ * @param {string} resultsPath the path to the results file of the previous run
+ * @returns {Object} an object with the generated date and a Map of issues by key
+ */
+async function loadBaseline(resultsPath) {
+  const results = JSON.parse(await readFileAsync(resultsPath, 'utf8'));
+
+  if (!results || !Array.isArray(results.issues)) {
+    throw new Error(`${resultsPath} is not a results file`);
+  }
+
+  const issues = new Map();
+  results.issues.forEach(issue => {
+    issues.set(getIssueKey(issue), issue);
+  });
+
+  return {
+    generated: results.generated,
+    issues
+  };
+}
+
+module.exports = {
+  BASELINE_STATUS,
+  getIssueKey,
+  loadBaseline
+};
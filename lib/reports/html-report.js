@@ -0,0 +1,391 @@
+
+/**
+ * Escapes a string for use in HTML text or attribute values.
+ *
+ * @param {*} value the value to escape
+ * @returns {String} the escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes data as JSON that is safe to embed in a script tag.
+ *
+ * @param {*} data the data to serialize
+ * @returns {String} the JSON
+ */
+function toScriptJson(data) {
+  return JSON.stringify(data)
+          .replace(/</g, '\\u003c')
+          .replace(/\u2028/g, '\\u2028')
+          .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Gets the number of pages failing each check, most failures first.
+ *
+ * @param {Array} pages the page summaries
+ * @returns {Array} an array of { check, count }
+ */
+function getCheckTotals(pages) {
+  const totals = {};
+
+  pages.forEach(page => {
+    const checks = new Set(page.issues.map(issue => issue.check));
+    if (page.errorStep) {
+      checks.add(page.errorStep);
+    }
+    checks.forEach(check => {
+      totals[check] = (totals[check] || 0) + 1;
+    });
+  });
+
+  return sortTotals(totals);
+}
+
+/**
+ * Gets the number of issues resolved for each check, most first.
+ *
+ * @param {Array} resolved the resolved issues
+ * @returns {Array} an array of { check, count }
+ */
+function getResolvedTotals(resolved) {
+  const totals = {};
+
+  resolved.forEach(issue => {
+    totals[issue.check] = (totals[issue.check] || 0) + 1;
+  });
+
+  return sortTotals(totals);
+}
+
+/**
+ * Converts a map of counts by check into a sorted array.
+ *
+ * @param {Object} totals counts keyed by check
+ * @returns {Array} an array of { check, count }
+ */
+function sortTotals(totals) {
+  return Object.keys(totals)
+          .map(check => ({ check, count: totals[check] }))
+          .sort((a, b) => (b.count - a.count) || a.check.localeCompare(b.check));
+}
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.generated { color: #666; margin-top: 0; }
+.summary { display: flex; flex-wrap: wrap; gap: 1em; margin: 1.5em 0; }
+.summary div { border: 1px solid #ccc; border-radius: 4px; padding: 0.8em 1.2em; min-width: 8em; }
+.summary strong { display: block; font-size: 1.8em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+#pages th { cursor: pointer; user-select: none; }
+#pages th.asc::after { content: " \\25B2"; }
+#pages th.desc::after { content: " \\25BC"; }
+#pages tr.page { cursor: pointer; }
+#pages tr.page:hover { background: #f8f8f8; }
+#pages tr.details td { background: #fafafa; }
+.details table td { width: 40%; word-break: break-all; }
+.details table td:first-child { width: 20%; }
+.filters { margin: 1em 0; display: flex; gap: 1em; }
+.filters input { flex: 1; padding: 0.4em; }
+.status-ok { color: #2a7d2a; }
+.status-issues { color: #b35c00; }
+.status-error { color: #b30000; }
+.count { color: #666; }
+.baseline-new { color: #b30000; font-weight: bold; }
+.baseline-resolved { color: #2a7d2a; }
+.severity-error { color: #b30000; }
+.severity-warning { color: #b35c00; }
+.severity-info { color: #666; }
+`;
+
+const SCRIPT = `
+(function() {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var MAX_ROWS = 500;
+  var sortKey = 'issueCount';
+  var sortDir = -1;
+  var expanded = {};
+
+  var filterInput = document.getElementById('filter');
+  var statusSelect = document.getElementById('status');
+  var checkSelect = document.getElementById('check');
+  var tbody = document.querySelector('#pages tbody');
+  var countEl = document.getElementById('shown');
+
+  function el(tag, text, className) {
+    var node = document.createElement(tag);
+    if (text !== undefined) { node.textContent = text; }
+    if (className) { node.className = className; }
+    return node;
+  }
+
+  function link(host, path) {
+    var a = el('a', host + path);
+    a.href = host + path;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    return a;
+  }
+
+  function matches(page) {
+    var text = filterInput.value.toLowerCase();
+    if (text && (page.path + ' ' + page.destinationPath).toLowerCase().indexOf(text) === -1) { return false; }
+    if (statusSelect.value === 'new') { return page.newCount > 0; }
+    if (statusSelect.value && page.status !== statusSelect.value) { return false; }
+    if (checkSelect.value) {
+      if (page.errorStep === checkSelect.value) { return true; }
+      return page.issues.some(function(issue) { return issue.check === checkSelect.value; });
+    }
+    return true;
+  }
+
+  function compare(a, b) {
+    var av = a[sortKey], bv = b[sortKey];
+    if (av === bv) { return 0; }
+    if (av === undefined) { return 1; }
+    if (bv === undefined) { return -1; }
+    return (av < bv ? -1 : 1) * sortDir;
+  }
+
+  function renderDetails(page) {
+    var row = el('tr', undefined, 'details');
+    var cell = el('td');
+    cell.colSpan = data.hasBaseline ? 5 : 4;
+
+    var links = el('p');
+    links.appendChild(document.createTextNode('Source: '));
+    links.appendChild(link(data.sourceHost, page.path));
+    links.appendChild(document.createTextNode(' | Destination: '));
+    links.appendChild(link(data.destinationHost, page.destinationPath || page.path));
+    cell.appendChild(links);
+
+    if (page.errorStep) {
+      cell.appendChild(el('p', page.errorStep + ': ' + page.fetchErrors.join(' | '), 'status-error'));
+    }
+
+    if (page.attempts.source > 1 || page.attempts.destination > 1) {
+      cell.appendChild(el('p', 'Retried: ' + page.attempts.source + ' source and ' + page.attempts.destination + ' destination requests', 'status-issues'));
+    }
+
+    if (page.issues.length) {
+      var table = el('table');
+      var head = el('tr');
+      var labels = data.hasBaseline ? ['Check', 'Severity', 'Source', 'Destination', 'Baseline'] : ['Check', 'Severity', 'Source', 'Destination'];
+      labels.forEach(function(label) { head.appendChild(el('th', label)); });
+      table.appendChild(head);
+      page.issues.forEach(function(issue) {
+        var tr = el('tr');
+        tr.appendChild(el('td', issue.check));
+        tr.appendChild(el('td', issue.severity || 'error', 'severity-' + (issue.severity || 'error')));
+        tr.appendChild(el('td', issue.source));
+        tr.appendChild(el('td', issue.destination));
+        if (data.hasBaseline) {
+          tr.appendChild(el('td', issue.baselineStatus, 'baseline-' + issue.baselineStatus));
+        }
+        table.appendChild(tr);
+      });
+      cell.appendChild(table);
+    }
+
+    row.appendChild(cell);
+    return row;
+  }
+
+  function render() {
+    var rows = data.pages.filter(matches).sort(compare);
+    tbody.innerHTML = '';
+    rows.slice(0, MAX_ROWS).forEach(function(page) {
+      var tr = el('tr', undefined, 'page');
+      // Paths mapped to a different destination path show both.
+      tr.appendChild(el('td', page.destinationPath && page.destinationPath !== page.path ? page.path + ' \u2192 ' + page.destinationPath : page.path));
+      tr.appendChild(el('td', page.resourceType || ''));
+      tr.appendChild(el('td', page.status, 'status-' + page.status));
+      tr.appendChild(el('td', String(page.issueCount)));
+      if (data.hasBaseline) {
+        tr.appendChild(el('td', String(page.newCount), page.newCount ? 'baseline-new' : ''));
+      }
+      tr.addEventListener('click', function() {
+        expanded[page.path] = !expanded[page.path];
+        render();
+      });
+      tbody.appendChild(tr);
+      if (expanded[page.path]) {
+        tbody.appendChild(renderDetails(page));
+      }
+    });
+    countEl.textContent = 'Showing ' + Math.min(rows.length, MAX_ROWS) + ' of ' + rows.length + ' matching pages';
+  }
+
+  document.querySelectorAll('#pages th').forEach(function(th) {
+    th.addEventListener('click', function() {
+      var key = th.getAttribute('data-key');
+      sortDir = (sortKey === key) ? -sortDir : 1;
+      sortKey = key;
+      document.querySelectorAll('#pages th').forEach(function(other) { other.className = ''; });
+      th.className = sortDir === 1 ? 'asc' : 'desc';
+      render();
+    });
+  });
+
+  document.querySelectorAll('#checks a[data-check]').forEach(function(a) {
+    a.addEventListener('click', function(evt) {
+      evt.preventDefault();
+      checkSelect.value = a.getAttribute('data-check');
+      render();
+    });
+  });
+
+  [filterInput, statusSelect, checkSelect].forEach(function(input) {
+    input.addEventListener('input', render);
+  });
+
+  render();
+})();
+`;
+
+/**
+ * Renders a self-contained HTML report of the page comparisons.
+ *
+ * @param {Object} options the report options
+ * @param {Array} options.pages the page summaries, each with path, destinationPath, resourceType, errorStep, fetchErrors, attempts and issues.
+ * @param {string} options.sourceHost the migration source host
+ * @param {string} options.destinationHost the migration destination host
+ * @param {Date} options.generated the time the report was generated
+ * @param {Array} options.resolved the issues resolved since the baseline run, if compared to a baseline.
+ * @param {Object} options.sitemapCoverage the coverage of the source sitemap, if the sitemaps were compared.
+ * @param {int} options.waivedCount the number of issues that were waived
+ * @param {Array} options.staleWaivers the waivers that no longer match an issue
+ * @returns {String} the HTML document
+ */
+function renderHtmlReport({
+  pages = [],
+  sourceHost = '',
+  destinationHost = '',
+  generated = new Date(),
+  resolved = undefined,
+  sitemapCoverage = undefined,
+  waivedCount = 0,
+  staleWaivers = []
+} = {}) {
+
+  const hasBaseline = Array.isArray(resolved);
+
+  const reportPages = pages.map(page => ({
+    ...page,
+    status: page.errorStep ? 'error' : (page.issues.length ? 'issues' : 'ok'),
+    issueCount: page.issues.length,
+    newCount: page.issues.filter(issue => issue.baselineStatus === 'new').length +
+                (page.baselineStatus === 'new' ? 1 : 0)
+  }));
+
+  const total = reportPages.length;
+  const clean = reportPages.filter(page => page.status === 'ok').length;
+  const withIssues = reportPages.filter(page => page.status === 'issues').length;
+  const failed = reportPages.filter(page => page.status === 'error').length;
+  const percentClean = total ? ((clean / total) * 100).toFixed(1) : '0.0';
+
+  const checkTotals = getCheckTotals(reportPages);
+
+  const checkRows = checkTotals
+                      .map(({ check, count }) => `<tr><td><a href="#" data-check="${escapeHtml(check)}">${escapeHtml(check)}</a></td><td>${count}</td></tr>`)
+                      .join('\n');
+
+  const newCount = reportPages.reduce((acc, page) => acc + page.newCount, 0);
+
+  const baselineSummary = hasBaseline ? `
+  <div><strong class="baseline-new">${newCount}</strong>New issues</div>
+  <div><strong class="baseline-resolved">${resolved.length}</strong>Resolved issues</div>` : '';
+
+  const coverageSummary = sitemapCoverage ? `
+  <div><strong>${sitemapCoverage.percent.toFixed(1)}%</strong>Sitemap coverage</div>
+  <div><strong class="status-error">${sitemapCoverage.sourceOnly}</strong>Not migrated</div>
+  <div><strong class="status-issues">${sitemapCoverage.destinationOnly}</strong>Only on destination</div>` : '';
+
+  const resolvedSection = hasBaseline ? `
+<h2>Resolved since baseline</h2>
+<table>
+<tr><th>Check</th><th>Issues</th></tr>
+${getResolvedTotals(resolved).map(({ check, count }) => `<tr><td>${escapeHtml(check)}</td><td>${count}</td></tr>`).join('\n')}
+</table>
+` : '';
+
+  const staleSection = staleWaivers.length ? `
+<h2>Stale waivers</h2>
+<p>These waivers no longer match any issue and can be removed.</p>
+<table>
+<tr><th>Path</th><th>Check</th><th>Destination</th><th>Approved by</th><th>Reason</th></tr>
+${staleWaivers.map(waiver => `<tr><td>${escapeHtml(waiver.path)}</td><td>${escapeHtml(waiver.check)}</td><td>${escapeHtml(waiver.destination !== undefined ? waiver.destination : '')}</td><td>${escapeHtml(waiver.approvedBy)}</td><td>${escapeHtml(waiver.reason)}</td></tr>`).join('\n')}
+</table>
+` : '';
+
+  const checkOptions = checkTotals
+                      .map(({ check }) => `<option value="${escapeHtml(check)}">${escapeHtml(check)}</option>`)
+                      .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Migration Comparison Report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Migration Comparison Report</h1>
+<p class="generated">${escapeHtml(sourceHost)} &rarr; ${escapeHtml(destinationHost)}, generated ${escapeHtml(generated.toISOString())}</p>
+
+<div class="summary">
+  <div><strong>${total}</strong>Pages checked</div>
+  <div><strong class="status-ok">${clean}</strong>Pages matching</div>
+  <div><strong class="status-issues">${withIssues}</strong>Pages with issues</div>
+  <div><strong class="status-error">${failed}</strong>Fetch failures</div>
+  <div><strong>${percentClean}%</strong>Matching</div>
+  <div><strong>${waivedCount}</strong>Waived issues</div>${coverageSummary}${baselineSummary}
+</div>
+
+<h2>Failures by check</h2>
+<table id="checks">
+<tr><th>Check</th><th>Pages</th></tr>
+${checkRows}
+</table>
+${resolvedSection}${staleSection}
+<h2>Pages</h2>
+<div class="filters">
+  <input id="filter" type="search" placeholder="Filter by path">
+  <select id="status">
+    <option value="">All statuses</option>
+    <option value="ok">ok</option>
+    <option value="issues">issues</option>
+    <option value="error">error</option>
+    ${hasBaseline ? '<option value="new">new issues</option>' : ''}
+  </select>
+  <select id="check">
+    <option value="">All checks</option>
+    ${checkOptions}
+  </select>
+</div>
+<p id="shown" class="count"></p>
+<table id="pages">
+<thead><tr><th data-key="path">Path</th><th data-key="resourceType">Type</th><th data-key="status">Status</th><th data-key="issueCount" class="desc">Issues</th>${hasBaseline ? '<th data-key="newCount">New</th>' : ''}</tr></thead>
+<tbody></tbody>
+</table>
+
+<script type="application/json" id="report-data">${toScriptJson({ sourceHost, destinationHost, hasBaseline, pages: reportPages })}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtmlReport
+};
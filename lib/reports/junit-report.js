@@ -0,0 +1,120 @@
+
+/**
+ * Removes the characters that are not allowed in XML 1.0: the control
+ * characters other than tab, newline and carriage return, and U+FFFE/U+FFFF.
+ *
+ * @param {String} value the string
+ * @returns {String} the string without invalid characters
+ */
+function removeInvalidXmlChars(value) {
+  return Array.from(value)
+          .filter(char => {
+            const code = char.charCodeAt(0);
+            return (code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D) &&
+                    code !== 0xFFFE && code !== 0xFFFF;
+          })
+          .join('');
+}
+
+/**
+ * Escapes a string for use in XML text or attribute values, removing
+ * characters that are not allowed in XML 1.0.
+ *
+ * @param {*} value the value to escape
+ * @returns {String} the escaped value
+ */
+function escapeXml(value) {
+  return removeInvalidXmlChars(String(value))
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&apos;');
+}
+
+/**
+ * Determines if an issue fails its testcase. Issues without a severity
+ * are treated as errors.
+ *
+ * @param {Object} issue the issue
+ */
+function isFailure(issue) {
+  return !issue.severity || issue.severity === 'error';
+}
+
+/**
+ * Renders a testcase element for a single page.
+ *
+ * @param {Object} page the page summary
+ * @returns {String} the testcase XML
+ */
+function renderTestCase(page) {
+  const name = (page.destinationPath && page.destinationPath !== page.path) ?
+                  `${page.path} → ${page.destinationPath}` :
+                  page.path;
+  const attrs = `classname="${escapeXml(page.resourceType || 'UNKNOWN')}" name="${escapeXml(name)}"`;
+
+  // A failed fetch is the testcase's error, with any issues found without fetching kept as output.
+  if (page.errorStep) {
+    const issues = page.issues
+                    .map(issue => `${issue.severity || 'error'}: ${issue.check}\nSource: ${issue.source}\nDestination: ${issue.destination}\n`)
+                    .join('');
+
+    return `    <testcase ${attrs}>\n` +
+           `      <error type="${escapeXml(page.errorStep)}" message="${escapeXml(page.fetchErrors.join(' | '))}"/>\n` +
+           (issues ? `      <system-out>${escapeXml(issues)}</system-out>\n` : '') +
+           `    </testcase>\n`;
+  }
+
+  if (!page.issues.length) {
+    return `    <testcase ${attrs}/>\n`;
+  }
+
+  // Only errors fail the testcase, warnings and info are kept as output.
+  const failures = page.issues
+                    .filter(isFailure)
+                    .map(issue =>
+                      `      <failure type="${escapeXml(issue.check)}" message="${escapeXml(issue.check)}">` +
+                      `${escapeXml(`Source: ${issue.source}\nDestination: ${issue.destination}`)}</failure>\n`
+                    )
+                    .join('');
+
+  const notices = page.issues
+                    .filter(issue => !isFailure(issue))
+                    .map(issue => `${issue.severity}: ${issue.check}\nSource: ${issue.source}\nDestination: ${issue.destination}\n`)
+                    .join('');
+
+  const output = notices ? `      <system-out>${escapeXml(notices)}</system-out>\n` : '';
+
+  return `    <testcase ${attrs}>\n${failures}${output}    </testcase>\n`;
+}
+
+/**
+ * Renders a JUnit XML report of the page comparisons, with each page
+ * as a testcase and each failed check with a severity of error as a failure.
+ *
+ * @param {Object} options the report options
+ * @param {Array} options.pages the page summaries
+ * @param {string} options.name the name of the test suite
+ * @param {Date} options.generated the time the report was generated
+ * @returns {String} the XML document
+ */
+function renderJUnitReport({
+  pages = [],
+  name = 'mig-meta-compare',
+  generated = new Date()
+} = {}) {
+  const failures = pages.filter(page => !page.errorStep && page.issues.some(isFailure)).length;
+  const errors = pages.filter(page => page.errorStep).length;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+         `<testsuites name="${escapeXml(name)}" tests="${pages.length}" failures="${failures}" errors="${errors}">\n` +
+         `  <testsuite name="${escapeXml(name)}" tests="${pages.length}" failures="${failures}" errors="${errors}" timestamp="${generated.toISOString()}">\n` +
+         pages.map(renderTestCase).join('') +
+         `  </testsuite>\n` +
+         `</testsuites>\n`;
+}
+
+module.exports = {
+  renderJUnitReport
+};
@@ -0,0 +1,111 @@
+const fs                    = require('fs');
+const util                  = require('util');
+const { globToRegExp }      = require('../utils/glob');
+
+const readFileAsync = util.promisify(fs.readFile);
+
+/**
+ * A known, accepted difference that is signed off by a content owner.
+ */
+class Waiver {
+
+  /**
+   * Creates a new instance of a Waiver
+   *
+   * @param {Object} definition the waiver definition
+   * @param {string} definition.path A glob of the paths the waiver applies to.
+   * @param {string} definition.check A glob of the checks the waiver applies to.
+   * @param {string} definition.destination The expected destination value, if the waiver only applies to it.
+   * @param {string} definition.approvedBy Who approved the difference.
+   * @param {string} definition.reason Why the difference is accepted.
+   */
+  constructor({
+    path,
+    check,
+    destination,
+    approvedBy,
+    reason
+  }) {
+    this.path = path;
+    this.check = check;
+    this.destination = destination;
+    this.approvedBy = approvedBy;
+    this.reason = reason;
+
+    this.pathRegex = globToRegExp(path);
+    this.checkRegex = globToRegExp(check);
+    this.matchCount = 0;
+  }
+
+  /**
+   * Determines if this waiver applies to an issue.
+   *
+   * @param {string} path the path of the page
+   * @param {Object} issue the issue
+   */
+  matches(path, issue) {
+    return this.pathRegex.test(path) &&
+            this.checkRegex.test(issue.check) &&
+            (this.destination === undefined || String(issue.destination) === this.destination);
+  }
+
+  /**
+   * Gets the waiver as it is reported.
+   */
+  toJSON() {
+    return {
+      path: this.path,
+      check: this.check,
+      destination: this.destination,
+      approvedBy: this.approvedBy,
+      reason: this.reason
+    };
+  }
+
+  /**
+   * A static method to validate a waiver definition.
+   * @param {Object} definition the waiver definition. See the constructor.
+   * @returns {Array} an array of errors
+   */
+  static ValidateDefinition(definition) {
+    let errors = [];
+    const label = JSON.stringify(definition);
+
+    [ "path", "check", "approvedBy", "reason" ].forEach(key => {
+      if (!definition || !definition[key]) {
+        errors.push(new Error(`You must supply a ${key} for waiver ${label}`));
+      }
+    });
+
+    return errors;
+  }
+}
+
+/**
+ * Loads the waivers from a JSON file containing an array of waiver definitions.
+ *
+ * @param {string} waiversPath the path to the waivers file
+ * @returns {Array} an array of Waivers
+ */
+async function loadWaivers(waiversPath) {
+  const definitions = JSON.parse(await readFileAsync(waiversPath, 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${waiversPath} must contain an array of waivers`);
+  }
+
+  const errors = definitions.reduce(
+    (acc, definition) => [ ...acc, ...Waiver.ValidateDefinition(definition) ],
+    []
+  );
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+
+  return definitions.map(definition => new Waiver(definition));
+}
+
+module.exports = {
+  Waiver,
+  loadWaivers
+};
@@ -0,0 +1,114 @@
+/**
+ * Class used to decide if a failed request should be tried again, and
+ * how long to wait first: an exponential backoff with jitter, or the
+ * server's Retry-After when it gives one.
+ */
+class RetryPolicy {
+
+  /**
+   * Creates a new instance of a RetryPolicy
+   *
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {int} config.maxAttempts The most times to try a request, including the first.
+   * @param {int} config.baseDelay The milliseconds to wait before the first retry, doubled for each retry after.
+   * @param {int} config.maxDelay The most milliseconds to wait before a retry.
+   * @param {Array} config.retryStatuses The response statuses to retry.
+   * @param {Array} config.retryCodes The error codes to retry, e.g. ECONNRESET, or ECONNABORTED for a timeout.
+   */
+  constructor({
+    maxAttempts = 3,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    retryStatuses = [ 429, 502, 503, 504 ],
+    retryCodes = [ 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE' ]
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryStatuses = retryStatuses;
+    this.retryCodes = retryCodes;
+  }
+
+  /**
+   * Gets the reason to retry a request, if it should be retried.
+   *
+   * @param {Error} err the error of the request, if it failed
+   * @param {Object} res the response of the request, if it did not fail
+   * @returns {string} the reason, e.g. "503" or "ECONNRESET", or undefined if the request should not be retried
+   */
+  getRetryReason(err, res) {
+    const response = err ? err.response : res;
+
+    if (response) {
+      return this.retryStatuses.includes(response.status) ? String(response.status) : undefined;
+    }
+
+    return (err && this.retryCodes.includes(err.code)) ? err.code : undefined;
+  }
+
+  /**
+   * Gets the milliseconds to wait before a retry.
+   *
+   * @param {int} attempt the number of the attempt that failed, from 1
+   * @param {Object} headers the headers of the failed response, if any
+   * @returns {int} the delay
+   */
+  getDelay(attempt, headers = {}) {
+    const retryAfter = RetryPolicy.ParseRetryAfter(headers['retry-after']);
+    if (retryAfter !== undefined) {
+      return Math.min(retryAfter, this.maxDelay);
+    }
+
+    // "Full jitter", so requests that failed together do not retry together.
+    const backoff = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Parses a Retry-After header, either seconds or an HTTP date.
+   *
+   * @param {string} value the header value
+   * @returns {int} the milliseconds to wait, or undefined if there is no valid value
+   */
+  static ParseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @returns {Array} an array of errors
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    if (config.maxAttempts !== undefined && (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1)) {
+      errors.push(new Error("retry.maxAttempts must be a whole number of at least 1"));
+    }
+
+    [ "baseDelay", "maxDelay" ].forEach(key => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+        errors.push(new Error(`retry.${key} must be a whole number of milliseconds`));
+      }
+    });
+
+    [ "retryStatuses", "retryCodes" ].forEach(key => {
+      if (config[key] !== undefined && !Array.isArray(config[key])) {
+        errors.push(new Error(`retry.${key} must be an array`));
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = RetryPolicy;
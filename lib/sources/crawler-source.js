@@ -0,0 +1,290 @@
+const { JSDOM }                   = require('jsdom');
+const { URL }                     = require('url');
+const {
+  AbstractRecordSource
+} = require('loader-pipeline');
+const AxiosCacheableWebRequestor  = require('../axios-cacheable-web-requestor');
+const RobotsTxt                   = require('./robots-txt');
+const RecordSelector              = require('./record-selector');
+const { isHtml }                  = require('../utils/http-response');
+
+const DEFAULT_USER_AGENT = 'mig-meta-compare';
+
+/**
+ * This class implements a Source that discovers the URLs to compare
+ * by following the links of the source host from seed paths.
+ */
+class CrawlerSource extends AbstractRecordSource {
+
+  /**
+   * Creates a new instance of a CrawlerSource
+   * @param {logger} logger An instance of a logger.
+   * @param {AbstractCacheableWebRequestor} requestor Client for fetching pages over HTTP(s)
+   * @param {Object} config A configuration object
+   * @param {string} config.sourceHost The migration source host to crawl.
+   * @param {Array} config.seeds The paths to start crawling from.
+   * @param {int} config.maxDepth The most links to follow from a seed.
+   * @param {int} config.maxPages The most paths to discover.
+   * @param {int} config.concurrency The number of pages to fetch at the same time.
+   * @param {Number} config.requestsPerSecond The most requests started each second, 0 for no limit. Used by GetInstance.
+   * @param {string} config.cachePath The folder to cache pages in, to share them with the fetch transformer. Used by GetInstance.
+   * @param {int} config.cacheDuration The milliseconds a cached page is used for. Used by GetInstance.
+   * @param {boolean} config.respectRobotsTxt Skip the paths disallowed by the host's robots.txt.
+   * @param {string} config.userAgent The user agent whose robots.txt rules apply, sent as the User-Agent header by GetInstance.
+   * @param {Array} config.urlFilters An array of regexes to filter out urls.
+   * @param {Object} config.selection Include patterns, sampling and sharding of the discovered paths. See RecordSelector.
+   */
+  constructor(logger, requestor, {
+    sourceHost = false,
+    seeds = [ '/' ],
+    maxDepth = 3,
+    maxPages = 1000,
+    concurrency = 5,
+    respectRobotsTxt = true,
+    userAgent = DEFAULT_USER_AGENT,
+    urlFilters = [],
+    selection = {}
+  } = {}) {
+    super(logger);
+
+    if (!sourceHost) {
+      throw new Error("You must supply a sourceHost");
+    }
+
+    this.sourceUrl = new URL(sourceHost);
+    this.seeds = seeds;
+    this.maxDepth = maxDepth;
+    this.maxPages = maxPages;
+    this.concurrency = concurrency;
+    this.respectRobotsTxt = respectRobotsTxt;
+    this.userAgent = userAgent;
+    this.urlFilters = urlFilters.map(regex => new RegExp(regex));
+    this.selector = new RecordSelector(selection);
+    this.requestor = requestor;
+
+    this.robotsTxt = new RobotsTxt();
+  }
+
+  /**
+   * Called before any resources are loaded.
+   */
+  async begin() {
+    if (!this.respectRobotsTxt) {
+      return;
+    }
+
+    const robotsUrl = new URL('/robots.txt', this.sourceUrl).href;
+    let robotsFile;
+
+    try {
+      robotsFile = await this.requestor.getBinaryContents(robotsUrl);
+    } catch (err) {
+      this.logger.error(`Could not load ${robotsUrl}`);
+      throw err;
+    }
+
+    // No robots.txt, so everything may be crawled.
+    if (robotsFile) {
+      this.robotsTxt = RobotsTxt.Parse(robotsFile.toString('utf8'), this.userAgent);
+    }
+  }
+
+  /**
+   * Get a collection of records from this source
+   * @returns {Array} the discovered and selected paths, in the order they were found
+   */
+  async getRecords() {
+    const found = new Set();
+
+    const addPath = (path) => {
+      if (found.has(path) || found.size >= this.maxPages || !this.isCrawlable(path)) {
+        return false;
+      }
+      found.add(path);
+      return true;
+    };
+
+    let level = this.seeds.filter(addPath);
+
+    // Pages at the maximum depth are not fetched, as their links are not followed.
+    for (let depth = 0; depth < this.maxDepth && level.length > 0; depth++) {
+      const nextLevel = [];
+
+      for (let i = 0; i < level.length; i += this.concurrency) {
+        const batch = level.slice(i, i + this.concurrency);
+        const batchLinks = await Promise.all(batch.map(path => this.getLinkedPaths(path)));
+
+        batchLinks.forEach(links => {
+          nextLevel.push(...links.filter(addPath));
+        });
+      }
+
+      this.logger.debug(`Crawled depth ${depth}, found ${found.size} paths`);
+      level = nextLevel;
+    }
+
+    this.logger.info(`Crawler found ${found.size} paths on ${this.sourceUrl.origin}`);
+
+    return this.selector.select(Array.from(found));
+  }
+
+  /**
+   * Determines if a path should be crawled and compared.
+   *
+   * @param {string} path the path
+   */
+  isCrawlable(path) {
+    for (let i=0; i < this.urlFilters.length; i++) {
+      if (this.urlFilters[i].test(path)) { return false; }
+    }
+    return this.robotsTxt.isAllowed(path);
+  }
+
+  /**
+   * Fetches a page and gets the paths it links to on the same host. Where
+   * the page redirects on the same host, the path it lands on is included.
+   *
+   * @param {string} path the path of the page
+   * @returns {Array} the linked paths
+   */
+  async getLinkedPaths(path) {
+    const url = new URL(path, this.sourceUrl).href;
+    let response;
+    let content;
+
+    try {
+      response = await this.requestor.getResponse(url);
+
+      if (response.status === 200 && isHtml(response.headers)) {
+        content = await this.requestor.getContents(url);
+      }
+    } catch (err) {
+      this.logger.warn(`Could not crawl ${url}: ${err.message}`);
+      return [];
+    }
+
+    const paths = [];
+
+    const finalPath = this.getSameHostPath(response.finalUrl, url);
+    if (finalPath && finalPath !== path) {
+      paths.push(finalPath);
+    }
+
+    if (!content) {
+      return paths;
+    }
+
+    const doc = new JSDOM(content);
+    doc.window.document.querySelectorAll('a[href]').forEach(elem => {
+      const linkedPath = this.getSameHostPath(elem.getAttribute('href').trim(), response.finalUrl);
+      if (linkedPath) {
+        paths.push(linkedPath);
+      }
+    });
+
+    return paths;
+  }
+
+  /**
+   * Gets the path of a link if it is on the source host.
+   *
+   * @param {string} href the link
+   * @param {string} baseUrl the URL the link is relative to
+   * @returns {string} the path, or undefined if the link is not to a page on the source host
+   */
+  getSameHostPath(href, baseUrl) {
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (err) {
+      return undefined;
+    }
+
+    // Aliases like http vs https of the same host are the same pages.
+    if (url.hostname.toLowerCase() !== this.sourceUrl.hostname.toLowerCase()) {
+      return undefined;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return undefined;
+    }
+
+    return url.pathname;
+  }
+
+  /**
+   * Method called after all resources have been loaded
+   */
+  async end() {
+    return;
+  }
+
+  /**
+   * Called upon a fatal loading error. Use this to clean up any items created on startup
+   */
+  async abort() {
+    return;
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.sourceHost The migration source host to crawl.
+   * @param {Array} config.seeds The paths to start crawling from.
+   * @param {Number} config.requestsPerSecond The most requests started each second.
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    if (!config.sourceHost) {
+      errors.push(new Error("You must supply a sourceHost"));
+    }
+
+    if (config.seeds !== undefined && (!Array.isArray(config.seeds) || config.seeds.some(seed => typeof seed !== 'string' || !seed.startsWith('/')))) {
+      errors.push(new Error("seeds must be an array of paths"));
+    }
+
+    [ "maxDepth", "maxPages", "concurrency" ].forEach(key => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+        errors.push(new Error(`${key} must be a whole number`));
+      }
+    });
+
+    if (config.concurrency === 0) {
+      errors.push(new Error("concurrency must be at least 1"));
+    }
+
+    if (config.requestsPerSecond !== undefined && (typeof config.requestsPerSecond !== 'number' || config.requestsPerSecond < 0)) {
+      errors.push(new Error("requestsPerSecond must be a number of at least 0"));
+    }
+
+    if (config.selection !== undefined) {
+      errors.push(...RecordSelector.ValidateConfig(config.selection));
+    }
+
+    return errors;
+  }
+
+  /**
+   * A static helper function to get a configured source instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance. See CrawlerSource constructor.
+   */
+  static async GetInstance(logger, config) {
+    if (!config) {
+      throw new Error("Config must be supplied");
+    }
+
+    const requestor = await AxiosCacheableWebRequestor.GetInstance(logger, {
+      requestsPerHost: config.concurrency,
+      requestsPerSecond: config.requestsPerSecond,
+      cachePath: config.cachePath,
+      cacheDuration: config.cacheDuration,
+      headers: { 'User-Agent': config.userAgent || DEFAULT_USER_AGENT }
+    });
+
+    return new CrawlerSource(logger, requestor, config);
+  }
+
+}
+
+module.exports = CrawlerSource;
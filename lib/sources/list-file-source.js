@@ -0,0 +1,279 @@
+const fs                = require('fs');
+const path              = require('path');
+const util              = require('util');
+const { URL }           = require('url');
+const {
+  AbstractRecordSource
+} = require('loader-pipeline');
+const { parseCsv }      = require('../utils/csv');
+const RecordSelector    = require('./record-selector');
+
+const readFileAsync = util.promisify(fs.readFile);
+
+const LIST_FORMATS = Object.freeze({
+  TEXT: 'text',
+  CSV: 'csv',
+  JSON: 'json'
+});
+
+/**
+ * This class implements a Source that reads the URLs to compare
+ * from a list file: one per line, a column of a CSV file or a JSON array.
+ */
+class ListFileSource extends AbstractRecordSource {
+
+  /**
+   * Creates a new instance of a ListFileSource
+   * @param {logger} logger An instance of a logger.
+   * @param {Object} config A configuration object
+   * @param {string} config.listPath the path to the list file.
+   * @param {string} config.format text, csv or json. Defaults to the file extension, or text.
+   * @param {string|int} config.column the name (from the header row) or index of the CSV column with the URLs. Defaults to the first column.
+   * @param {boolean} config.hasHeader true if the first row of the CSV file is a header row. Implied when the column is given by name.
+   * @param {Array} config.urlFilters An array of regexes to filter out urls.
+   * @param {Object} config.selection Include patterns, sampling and sharding. See RecordSelector.
+   */
+  constructor(logger, {
+    listPath = null,
+    format = null,
+    column = 0,
+    hasHeader = false,
+    urlFilters = [],
+    selection = {}
+  } = {}) {
+    super(logger);
+
+    if (listPath === null) {
+      throw new Error("List path is required.");
+    }
+
+    this.listPath = listPath;
+    this.format = format || ListFileSource.GetFormat(listPath);
+    this.column = column;
+    this.hasHeader = hasHeader || typeof column === 'string';
+    this.urlFilters = urlFilters.map(regex => new RegExp(regex));
+    this.selector = new RecordSelector(selection);
+  }
+
+  /**
+   * Called before any resources are loaded.
+   */
+  async begin() {
+    return;
+  }
+
+  /**
+   * Get a collection of records from this source
+   * @returns {Array} the paths, or for JSON lists of objects, the objects with the path normalized.
+   */
+  async getRecords() {
+
+    let listFile;
+
+    try {
+      listFile = await readFileAsync(this.listPath, 'utf8');
+    } catch (err) {
+      this.logger.error(`Could not load list file ${this.listPath}`);
+      throw err;
+    }
+
+    let entries;
+
+    try {
+      entries = this.parseList(listFile);
+    } catch (err) {
+      this.logger.error(`Could not parse list file ${this.listPath}`);
+      throw err;
+    }
+
+    // The same URL can be listed more than once.
+    const records = new Map();
+
+    entries
+      .map(entry => (typeof entry === 'string') ?
+                      ListFileSource.GetPath(entry) :
+                      { ...entry, path: ListFileSource.GetPath(entry.path) })
+      .filter(record => {
+        const recordPath = RecordSelector.GetPath(record);
+        for (let i=0; i < this.urlFilters.length; i++) {
+          if (this.urlFilters[i].test(recordPath)) { return false; }
+        }
+        return true;
+      })
+      .forEach(record => {
+        const recordPath = RecordSelector.GetPath(record);
+        if (!records.has(recordPath)) {
+          records.set(recordPath, record);
+        }
+      });
+
+    return this.selector.select(Array.from(records.values()));
+  }
+
+  /**
+   * Gets the entries of the list file.
+   *
+   * @param {string} listFile the contents of the list file
+   * @returns {Array} the entries, each a URL or path, or an object with a path
+   * @throws an error naming the line, row or entry of a value that is not a URL or path
+   */
+  parseList(listFile) {
+    switch (this.format) {
+      case LIST_FORMATS.JSON: {
+        const entries = JSON.parse(listFile);
+        if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string' && !(entry && entry.path))) {
+          throw new Error(`${this.listPath} must contain an array of URLs, or of objects with a path`);
+        }
+        entries.forEach((entry, index) => {
+          this.checkUrlOrPath((typeof entry === 'string') ? entry : entry.path, `entry ${index + 1}`);
+        });
+        return entries;
+      }
+      case LIST_FORMATS.CSV: {
+        const rows = parseCsv(listFile);
+        const header = (this.hasHeader && rows.length) ? rows.shift() : null;
+        let columnIndex = this.column;
+        if (typeof this.column === 'string') {
+          columnIndex = header ? header.map(name => name.trim()).indexOf(this.column) : -1;
+          if (columnIndex === -1) {
+            throw new Error(`${this.listPath} does not have a ${this.column} column`);
+          }
+        }
+
+        const firstRow = header ? 2 : 1;
+        const entries = [];
+        rows.forEach((row, index) => {
+          const value = (row[columnIndex] || '').trim();
+          if (value !== '') {
+            entries.push(this.checkUrlOrPath(value, `row ${index + firstRow}`));
+          }
+        });
+        return entries;
+      }
+      case LIST_FORMATS.TEXT: {
+        const entries = [];
+        listFile.split(/\r?\n/).forEach((line, index) => {
+          const value = line.trim();
+          if (value !== '' && !value.startsWith('#')) {
+            entries.push(this.checkUrlOrPath(value, `line ${index + 1}`));
+          }
+        });
+        return entries;
+      }
+      default:
+        throw new Error(`Unknown list format ${this.format}`);
+    }
+  }
+
+  /**
+   * Checks that a value of the list file is an absolute path or an http(s) URL,
+   * so a URL without a scheme, e.g. www.cancer.gov/about, is not read as a path.
+   *
+   * @param {string} value the value
+   * @param {string} location where the value is in the list file, e.g. "row 2"
+   * @returns {string} the value
+   * @throws an error naming the location of the value, if it is not a URL or path
+   */
+  checkUrlOrPath(value, location) {
+    if (!ListFileSource.IsUrlOrPath(value)) {
+      throw new Error(`${this.listPath} ${location}: ${value} is not an absolute path or an http(s) URL`);
+    }
+    return value;
+  }
+
+  /**
+   * Method called after all resources have been loaded
+   */
+  async end() {
+    return;
+  }
+
+  /**
+   * Called upon a fatal loading error. Use this to clean up any items created on startup
+   */
+  async abort() {
+    return;
+  }
+
+  /**
+   * Gets the path of a URL or path.
+   *
+   * @param {string} value the URL or path
+   * @returns {string} the path
+   */
+  static GetPath(value) {
+    return new URL(value.trim(), 'http://localhost').pathname;
+  }
+
+  /**
+   * Determines if a value is an absolute path or an http(s) URL.
+   *
+   * @param {string} value the value
+   */
+  static IsUrlOrPath(value) {
+    return value.startsWith('/') || /^https?:\/\//i.test(value);
+  }
+
+  /**
+   * Gets the format of a list file from its extension.
+   *
+   * @param {string} listPath the path to the list file
+   * @returns {string} the format
+   */
+  static GetFormat(listPath) {
+    switch (path.extname(listPath).toLowerCase()) {
+      case '.csv':
+        return LIST_FORMATS.CSV;
+      case '.json':
+        return LIST_FORMATS.JSON;
+      default:
+        return LIST_FORMATS.TEXT;
+    }
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.listPath A local path to the list file.
+   * @param {string} config.format text, csv or json.
+   * @param {boolean} config.hasHeader true if the first row of the CSV file is a header row.
+   * @param {Object} config.selection Include patterns, sampling and sharding.
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    if (!config.listPath) {
+      errors.push(new Error("You must supply a list path"));
+    }
+
+    if (config.format && !Object.values(LIST_FORMATS).includes(config.format)) {
+      errors.push(new Error(`Unknown list format ${config.format}`));
+    }
+
+    if (config.hasHeader !== undefined && typeof config.hasHeader !== 'boolean') {
+      errors.push(new Error("hasHeader must be true or false"));
+    }
+
+    if (config.selection !== undefined) {
+      errors.push(...RecordSelector.ValidateConfig(config.selection));
+    }
+
+    return errors;
+  }
+
+  /**
+   * A static helper function to get a configured source instance
+   * @param {Object} logger the logger to use
+   * @param {Object} config configuration parameters to use for this instance. See ListFileSource constructor.
+   */
+  static async GetInstance(logger, config) {
+    if (!config) {
+      throw new Error("Config must be supplied");
+    }
+
+    return new ListFileSource(logger, config);
+  }
+
+}
+
+module.exports = ListFileSource;
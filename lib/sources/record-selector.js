@@ -0,0 +1,223 @@
+const crypto                = require('crypto');
+
+/**
+ * Gets a number from 0 up to (but not including) 2^32 for a string.
+ *
+ * @param {string} value the string to hash
+ * @returns {int} the hash
+ */
+function hashString(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32), so the same
+ * seed selects the same sample on every run.
+ *
+ * @param {*} seed the seed
+ * @returns {Function} a function returning numbers from 0 up to (but not including) 1
+ */
+function createRandom(seed) {
+  let state = hashString(seed);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Class used by the record sources to narrow down the records to
+ * compare: to the paths matching include patterns, to a sample and
+ * to a shard, so a run can be split across machines.
+ */
+class RecordSelector {
+
+  /**
+   * Creates a new instance of a RecordSelector
+   *
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {Array} config.includeFilters An array of regexes; when set, only matching paths are selected.
+   * @param {Object} config.sample The sample to select, if any.
+   * @param {int} config.sample.size The number of records to select.
+   * @param {Number} config.sample.percent The percentage of records to select, when there is no size.
+   * @param {*} config.sample.seed The seed for the random selection. The same seed selects the same records.
+   * @param {int} config.sample.stratifyDepth Sample each section, the paths sharing this many leading path segments, separately.
+   * @param {Object} config.shard The shard to select, if any.
+   * @param {int} config.shard.index The shard to select, from 1 to count.
+   * @param {int} config.shard.count The number of shards.
+   */
+  constructor({
+    includeFilters = [],
+    sample = null,
+    shard = null
+  } = {}) {
+    this.includeFilters = includeFilters.map(regex => new RegExp(regex));
+    this.sample = sample;
+    this.shard = shard;
+  }
+
+  /**
+   * Selects the records to compare.
+   *
+   * @param {Array} records the records, each a path or an object with a path
+   * @returns {Array} the selected records, in their original order
+   */
+  select(records) {
+    let selected = records;
+
+    if (this.includeFilters.length > 0) {
+      selected = selected.filter(record => this.includeFilters.some(regex => regex.test(RecordSelector.GetPath(record))));
+    }
+
+    if (this.sample) {
+      selected = this.sample.stratifyDepth ?
+                  this.selectStratifiedSample(selected) :
+                  this.selectSample(selected, this.getSampleSize(selected.length, Math.round), createRandom(this.getSeed()));
+    }
+
+    if (this.shard) {
+      // Shards are by path so a record stays in the same shard as the list changes.
+      selected = selected.filter(record => (hashString(RecordSelector.GetPath(record)) % this.shard.count) === this.shard.index - 1);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Selects a sample from each section, so every section is spot checked.
+   *
+   * @param {Array} records the records
+   * @returns {Array} the selected records, in their original order
+   */
+  selectStratifiedSample(records) {
+    const sections = new Map();
+    records.forEach(record => {
+      const section = RecordSelector.GetPath(record)
+                        .split('/')
+                        .filter(segment => segment !== '')
+                        .slice(0, this.sample.stratifyDepth)
+                        .join('/');
+      if (!sections.has(section)) {
+        sections.set(section, []);
+      }
+      sections.get(section).push(record);
+    });
+
+    const random = createRandom(this.getSeed());
+    const selected = new Set();
+
+    // Every section gets at least one record.
+    sections.forEach(sectionRecords => {
+      const size = this.getSampleSize(sectionRecords.length, Math.ceil, records.length);
+      this.selectSample(sectionRecords, size, random).forEach(record => selected.add(record));
+    });
+
+    return records.filter(record => selected.has(record));
+  }
+
+  /**
+   * Selects a random sample of records.
+   *
+   * @param {Array} records the records
+   * @param {int} size the number of records to select
+   * @param {Function} random the random number generator
+   * @returns {Array} the selected records, in their original order
+   */
+  selectSample(records, size, random) {
+    if (size >= records.length) {
+      return records;
+    }
+
+    // A partial Fisher-Yates shuffle of the indexes.
+    const indexes = records.map((record, index) => index);
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(random() * (indexes.length - i));
+      [ indexes[i], indexes[j] ] = [ indexes[j], indexes[i] ];
+    }
+
+    return indexes
+            .slice(0, size)
+            .sort((a, b) => a - b)
+            .map(index => records[index]);
+  }
+
+  /**
+   * Gets the number of records to sample from a group.
+   *
+   * @param {int} count the number of records in the group
+   * @param {Function} round the rounding function
+   * @param {int} total the number of records in all the groups
+   * @returns {int} the sample size
+   */
+  getSampleSize(count, round, total = count) {
+    const fraction = (this.sample.size !== undefined) ?
+                      this.sample.size / total :
+                      this.sample.percent / 100;
+
+    return Math.min(count, round(count * fraction));
+  }
+
+  /**
+   * Gets the seed of the sample, defaulting to a fixed seed so samples
+   * are repeatable unless asked otherwise.
+   */
+  getSeed() {
+    return (this.sample.seed !== undefined) ? this.sample.seed : 0;
+  }
+
+  /**
+   * Gets the path of a record.
+   *
+   * @param {string|Object} record the record
+   * @returns {string} the path
+   */
+  static GetPath(record) {
+    return (typeof record === 'string') ? record : record.path;
+  }
+
+  /**
+   * A static method to validate a configuration object against this module type's schema
+   * @param {Object} config configuration parameters to use for this instance.
+   * @returns {Array} an array of errors
+   */
+  static ValidateConfig(config) {
+    let errors = [];
+
+    if (config.includeFilters !== undefined && !Array.isArray(config.includeFilters)) {
+      errors.push(new Error("includeFilters must be an array"));
+    }
+
+    const { sample, shard } = config;
+
+    if (sample !== undefined && sample !== null) {
+      if (sample.size === undefined && sample.percent === undefined) {
+        errors.push(new Error("You must supply a size or percent for the sample"));
+      }
+      if (sample.size !== undefined && (!Number.isInteger(sample.size) || sample.size < 0)) {
+        errors.push(new Error("The sample size must be a whole number"));
+      }
+      if (sample.percent !== undefined && (typeof sample.percent !== 'number' || sample.percent < 0 || sample.percent > 100)) {
+        errors.push(new Error("The sample percent must be a number from 0 to 100"));
+      }
+      if (sample.stratifyDepth !== undefined && (!Number.isInteger(sample.stratifyDepth) || sample.stratifyDepth < 1)) {
+        errors.push(new Error("The sample stratifyDepth must be 1 or more"));
+      }
+    }
+
+    if (shard !== undefined && shard !== null) {
+      if (!Number.isInteger(shard.count) || shard.count < 1) {
+        errors.push(new Error("The shard count must be 1 or more"));
+      } else if (!Number.isInteger(shard.index) || shard.index < 1 || shard.index > shard.count) {
+        errors.push(new Error(`The shard index must be from 1 to ${shard.count}`));
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = RecordSelector;
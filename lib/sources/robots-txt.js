@@ -0,0 +1,103 @@
+/**
+ * The rules of a robots.txt file that apply to a single user agent.
+ */
+class RobotsTxt {
+
+  /**
+   * Creates a new instance of RobotsTxt
+   *
+   * @param {Array} rules the rules that apply, each { allow, path }
+   */
+  constructor(rules = []) {
+    this.rules = rules
+                  .filter(rule => rule.path !== '')
+                  .map(rule => ({
+                    ...rule,
+                    regex: RobotsTxt.PatternToRegExp(rule.path)
+                  }));
+  }
+
+  /**
+   * Determines if a path may be crawled. The most specific (longest)
+   * matching rule wins, and allow wins a tie.
+   *
+   * @param {string} path the path, including any query string
+   */
+  isAllowed(path) {
+    let match;
+
+    this.rules
+      .filter(rule => rule.regex.test(path))
+      .forEach(rule => {
+        if (
+          !match ||
+          rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow)
+        ) {
+          match = rule;
+        }
+      });
+
+    return !match || match.allow;
+  }
+
+  /**
+   * Converts a robots.txt path pattern, where * matches any characters
+   * and a trailing $ anchors the end, into a regular expression.
+   *
+   * @param {string} pattern the path pattern
+   * @returns {RegExp} the regular expression
+   */
+  static PatternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+                  .split('*')
+                  .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                  .join('.*');
+
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Parses a robots.txt file, keeping the rules of the group for the user
+   * agent, or of the * group if no group names the user agent.
+   *
+   * @param {string} text the contents of the robots.txt file
+   * @param {string} userAgent the name of the crawler
+   * @returns {RobotsTxt} the rules for the user agent
+   */
+  static Parse(text, userAgent) {
+    const groups = [];
+    let group = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      const content = line.replace(/#.*$/, '').trim();
+      const separator = content.indexOf(':');
+      if (separator === -1) {
+        return;
+      }
+
+      const field = content.substring(0, separator).trim().toLowerCase();
+      const value = content.substring(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the rules that follow.
+        if (!group || group.rules.length > 0) {
+          group = { agents: [], rules: [] };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+      } else if (group && (field === 'allow' || field === 'disallow')) {
+        group.rules.push({ allow: field === 'allow', path: value });
+      }
+    });
+
+    const name = userAgent.toLowerCase();
+    const named = groups.filter(candidate => candidate.agents.some(agent => agent !== '*' && name.includes(agent)));
+    const matching = named.length ? named : groups.filter(candidate => candidate.agents.includes('*'));
+
+    return new RobotsTxt(matching.reduce((rules, candidate) => [ ...rules, ...candidate.rules ], []));
+  }
+}
+
+module.exports = RobotsTxt;
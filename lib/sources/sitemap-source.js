@@ -1,12 +1,24 @@
-const fs              = require('fs');
-const util            = require('util');
-const xml2js          = require('xml2js-es6-promise');
-const { URL }         = require('url');
+const fs                          = require('fs');
+const util                        = require('util');
+const zlib                        = require('zlib');
+const xml2js                      = require('xml2js-es6-promise');
+const { URL }                     = require('url');
 const {
   AbstractRecordSource
 } = require('loader-pipeline');
+const AxiosCacheableWebRequestor  = require('../axios-cacheable-web-requestor');
+const {
+  PathMapper,
+  loadPathMapCsv
+} = require('../path-mapper');
+const {
+  SITEMAP_STATUS,
+  getSitemapCoverage
+} = require('./sitemap-status');
+const RecordSelector              = require('./record-selector');
 
 const readFileAsync = util.promisify(fs.readFile);
+const gunzipAsync = util.promisify(zlib.gunzip);
 
 /**
  * This class implements a Source that fetches a list of URLs
@@ -15,71 +27,206 @@ const readFileAsync = util.promisify(fs.readFile);
 class SitemapSource extends AbstractRecordSource {
 
   /**
-   * Creates a new instance of a GithubResourceSource
+   * Creates a new instance of a SitemapSource
    * @param {logger} logger An instance of a logger.
+   * @param {AbstractCacheableWebRequestor} requestor Client for fetching sitemaps over HTTP(s)
    * @param {Object} config A configuration object
-   * @param {string} config.sitemapPath the path to the sitemap.
+   * @param {string} config.sitemapUrl the URL of the sitemap or sitemap index.
+   * @param {string} config.sitemapPath the local path to the sitemap, used when there is no sitemapUrl.
+   * @param {string} config.destinationSitemapUrl the URL of the destination's sitemap, to compare the sitemaps.
+   * @param {string} config.destinationSitemapPath the local path to the destination's sitemap, used when there is no destinationSitemapUrl.
+   * @param {Object} config.pathMapping Maps source paths to destination paths when comparing sitemaps. See PathMapper.
    * @param {Array} config.urlFilters An array of regexes to filter out urls.
+   * @param {Object} config.selection Include patterns, sampling and sharding. See RecordSelector.
    */
-  constructor(logger, {
+  constructor(logger, requestor, {
+    sitemapUrl = null,
     sitemapPath = null,
-    urlFilters = []
+    destinationSitemapUrl = null,
+    destinationSitemapPath = null,
+    pathMapping = {},
+    urlFilters = [],
+    selection = {}
   } = {}) {
     super(logger);
 
-    if (sitemapPath === null) {
-      throw new Error("Sitemap path is required.");
+    if (sitemapUrl === null && sitemapPath === null) {
+      throw new Error("Sitemap url or path is required.");
     }
 
+    this.sitemapUrl = sitemapUrl;
     this.sitemapPath = sitemapPath;
+    this.destinationSitemap = destinationSitemapUrl || destinationSitemapPath;
+    this.pathMapper = new PathMapper(pathMapping);
+    this.pathMapCsvPath = pathMapping.csvPath;
     this.urlFilters = urlFilters.map(regex => new RegExp(regex));
+    this.selector = new RecordSelector(selection);
+    this.requestor = requestor;
   }
 
   /**
    * Called before any resources are loaded.
    */
   async begin() {
-    return;
+    if (this.pathMapCsvPath) {
+      try {
+        this.pathMapper.addPaths(await loadPathMapCsv(this.pathMapCsvPath));
+      } catch (err) {
+        this.logger.error(`Could not load path mappings ${this.pathMapCsvPath}`);
+        throw err;
+      }
+    }
   }
 
   /**
    * Get a collection of records from this source
+   * @returns {Array} an array of records, each { path, lastmod, priority }. When comparing
+   * sitemaps each also has a sitemapStatus and the sitemapCoverage of the whole sitemaps, and
+   * destination only paths have a destinationPath.
    */
   async getRecords() {
 
+    const records = await this.getSitemapRecords(this.sitemapUrl || this.sitemapPath);
+
+    if (!this.destinationSitemap) {
+      return this.selector.select(Array.from(records.values()));
+    }
+
+    const destinationRecords = await this.getSitemapRecords(this.destinationSitemap);
+
+    const compared = Array.from(records.values()).map(record => {
+      const destinationPath = this.pathMapper.map(record.path);
+      const found = destinationRecords.delete(destinationPath);
+      return {
+        ...record,
+        sitemapStatus: found ? SITEMAP_STATUS.BOTH : SITEMAP_STATUS.SOURCE_ONLY
+      };
+    });
+
+    // What is left on the destination is not in the source sitemap.
+    destinationRecords.forEach(record => {
+      compared.push({
+        ...record,
+        destinationPath: record.path,
+        sitemapStatus: SITEMAP_STATUS.DESTINATION_ONLY
+      });
+    });
+
+    // The coverage is of the whole sitemaps, not of the selected sample or shard.
+    const sitemapCoverage = getSitemapCoverage(compared.map(record => record.sitemapStatus));
+
+    return this.selector
+            .select(compared)
+            .map(record => ({ ...record, sitemapCoverage }));
+  }
+
+  /**
+   * Gets the records of a sitemap or sitemap index.
+   *
+   * @param {string} location the URL or local path of the sitemap
+   * @returns {Map} the records, each { path, lastmod, priority }, keyed by path
+   */
+  async getSitemapRecords(location) {
+
+    const entries = await this.getSitemapEntries(location, new Set());
+
+    // The same URL can be listed in more than one sitemap.
+    const records = new Map();
+
+    entries
+      .map(entry => ({
+        path: new URL(entry.loc[0].trim()).pathname,
+        lastmod: entry.lastmod ? entry.lastmod[0].trim() : undefined,
+        priority: entry.priority ? parseFloat(entry.priority[0]) : undefined
+      }))
+      .filter(record => {
+        for (let i=0; i < this.urlFilters.length; i++) {
+          if (this.urlFilters[i].test(record.path)) { return false; }
+        }
+        return true;
+      })
+      .forEach(record => {
+        if (!records.has(record.path)) {
+          records.set(record.path, record);
+        }
+      });
+
+    return records;
+  }
+
+  /**
+   * Gets the url entries of a sitemap, following the sitemaps of a
+   * sitemap index.
+   *
+   * @param {string} location the URL or local path of the sitemap
+   * @param {Set} visited the sitemaps already loaded, to skip an index listing itself
+   * @returns {Array} the parsed <url> entries
+   */
+  async getSitemapEntries(location, visited) {
+    if (visited.has(location)) {
+      return [];
+    }
+    visited.add(location);
+
+    const sitemap = await this.loadSitemap(location);
+
+    if (sitemap.sitemapindex) {
+      const entries = [];
+      for (const child of (sitemap.sitemapindex.sitemap || [])) {
+        entries.push(...await this.getSitemapEntries(child.loc[0].trim(), visited));
+      }
+      return entries;
+    }
+
+    if (sitemap.urlset) {
+      return sitemap.urlset.url || [];
+    }
+
+    throw new Error(`${location} is not a sitemap or sitemap index`);
+  }
+
+  /**
+   * Loads and parses a single sitemap file, decompressing it if it is gzipped.
+   *
+   * @param {string} location the URL or local path of the sitemap
+   * @returns {Object} the parsed sitemap
+   */
+  async loadSitemap(location) {
+
     // Load sitemap file.
     let sitemapFile;
 
     try {
-      sitemapFile = await readFileAsync(this.sitemapPath);
+      if (/^https?:\/\//i.test(location)) {
+        sitemapFile = await this.requestor.getBinaryContents(location);
+        if (!sitemapFile) {
+          throw new Error(`Could not fetch sitemap ${location}`);
+        }
+      } else {
+        sitemapFile = await readFileAsync(location);
+      }
     } catch (err) {
-      this.logger.error(`Could not load sitemap file ${this.sitemapPath}`);
+      this.logger.error(`Could not load sitemap file ${location}`);
       throw err;
     }
 
-    // Parse sitemap file
-    let sitemap;
+    // Decompress .xml.gz files, checking the gzip header as servers may already have decoded them.
+    if (sitemapFile[0] === 0x1f && sitemapFile[1] === 0x8b) {
+      try {
+        sitemapFile = await gunzipAsync(sitemapFile);
+      } catch (err) {
+        this.logger.error(`Could not decompress sitemap ${location}`);
+        throw err;
+      }
+    }
 
+    // Parse sitemap file
     try {
-      sitemap = await xml2js(sitemapFile)
+      return await xml2js(sitemapFile.toString('utf8'));
     } catch (err) {
-      this.logger.error(`Could not load sitemap`);
+      this.logger.error(`Could not load sitemap ${location}`);
       throw err;
     }
-
-    const urls = sitemap.urlset.url
-                  .map(entry => new URL(entry.loc[0]).pathname)
-                  .filter(url => {
-                    for (let i=0; i < this.urlFilters.length; i++) {
-                      if (this.urlFilters[i].test(url)) { return false; }
-                    }
-                    return true;
-                  });
-
-                  // TODO: Remove Slice.
-    // Limit test records to 5.
-    return urls;
-    //return urls.slice(0,5);
   }
 
   /**
@@ -99,13 +246,23 @@ class SitemapSource extends AbstractRecordSource {
   /**
    * A static method to validate a configuration object against this module type's schema
    * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.sitemapUrl The URL of the sitemap or sitemap index.
    * @param {string} config.sitemapPath A local path to the sitemap.
+   * @param {Object} config.pathMapping Maps source paths to destination paths when comparing sitemaps.
    */
   static ValidateConfig(config) {
     let errors = [];
 
-    if (!config.sitemapPath) {
-      errors.push(new Error("You must supply a sitemap path"));
+    if (!config.sitemapUrl && !config.sitemapPath) {
+      errors.push(new Error("You must supply a sitemap url or path"));
+    }
+
+    if (config.pathMapping !== undefined) {
+      errors.push(...PathMapper.ValidateConfig(config.pathMapping));
+    }
+
+    if (config.selection !== undefined) {
+      errors.push(...RecordSelector.ValidateConfig(config.selection));
     }
 
     return errors;
@@ -114,21 +271,45 @@ class SitemapSource extends AbstractRecordSource {
   /**
    * A static helper function to get a configured source instance
    * @param {Object} logger the logger to use
-   * @param {Object} config configuration parameters to use for this instance. See GithubResourceSource constructor.
+   * @param {Object} config configuration parameters to use for this instance. See SitemapSource constructor.
+   * @param {string} config.sitemapUrl The URL of the sitemap or sitemap index.
    * @param {string} config.sitemapPath A local path to the sitemap.
+   * @param {string} config.destinationSitemapUrl The URL of the destination's sitemap, to compare the sitemaps.
+   * @param {string} config.destinationSitemapPath A local path to the destination's sitemap.
+   * @param {Object} config.pathMapping Maps source paths to destination paths when comparing sitemaps.
    * @param {Array} config.urlFilters Array of regexes to remove urls from sitemap.
+   * @param {Object} config.selection Include patterns, sampling and sharding.
+   * @param {string} config.cachePath The folder to cache sitemaps in. Defaults to the html-cache folder of the application.
+   * @param {int} config.cacheDuration The milliseconds a cached sitemap is used for.
    */
   static async GetInstance(logger, {
+    sitemapUrl = false,
     sitemapPath = false,
-    urlFilters = []
+    destinationSitemapUrl = null,
+    destinationSitemapPath = null,
+    pathMapping = {},
+    urlFilters = [],
+    selection = {},
+    cachePath,
+    cacheDuration
   } = {}) {
-    if (!sitemapPath) {
-      throw new Error("Sitemap Path needs to be supplied.");
+    if (!sitemapUrl && !sitemapPath) {
+      throw new Error("Sitemap URL or Path needs to be supplied.");
     }
 
-    return new SitemapSource(logger, {
-      sitemapPath,
-      urlFilters
+    const requestor = await AxiosCacheableWebRequestor.GetInstance(logger, {
+      cachePath,
+      cacheDuration
+    });
+
+    return new SitemapSource(logger, requestor, {
+      sitemapUrl: sitemapUrl || null,
+      sitemapPath: sitemapPath || null,
+      destinationSitemapUrl,
+      destinationSitemapPath,
+      pathMapping,
+      urlFilters,
+      selection
     });
   }
 
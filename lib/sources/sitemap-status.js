@@ -0,0 +1,39 @@
+/**
+ * Which of the two hosts' sitemaps a path was found in, when the
+ * SitemapSource compares the source and destination sitemaps.
+ */
+const SITEMAP_STATUS = Object.freeze({
+  BOTH: 'BOTH',
+  SOURCE_ONLY: 'SOURCE_ONLY',
+  DESTINATION_ONLY: 'DESTINATION_ONLY'
+});
+
+/**
+ * Gets how much of the source sitemap is in the destination sitemap.
+ *
+ * @param {Array} statuses the sitemap status of each path
+ * @returns {Object} the number of paths with each status, and the percentage of
+ * source paths found on the destination, or undefined if there are no statuses.
+ */
+function getSitemapCoverage(statuses) {
+  const counts = {
+    both: statuses.filter(status => status === SITEMAP_STATUS.BOTH).length,
+    sourceOnly: statuses.filter(status => status === SITEMAP_STATUS.SOURCE_ONLY).length,
+    destinationOnly: statuses.filter(status => status === SITEMAP_STATUS.DESTINATION_ONLY).length
+  };
+
+  const sourceTotal = counts.both + counts.sourceOnly;
+  if (sourceTotal + counts.destinationOnly === 0) {
+    return undefined;
+  }
+
+  return {
+    ...counts,
+    percent: sourceTotal ? (counts.both / sourceTotal) * 100 : 0
+  };
+}
+
+module.exports = {
+  SITEMAP_STATUS,
+  getSitemapCoverage
+};
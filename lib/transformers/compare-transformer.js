@@ -1,5 +1,19 @@
+const path                          = require('path');
 const { JSDOM }                     = require('jsdom');
 const { AbstractRecordTransformer } = require('loader-pipeline');
+const UrlNormalizer                 = require('../url-normalizer');
+const SelectorCheck                 = require('../checks/selector-check');
+const DEFAULT_CHECKS                = require('../checks/default-checks');
+const { createNormalizers }         = require('../checks/normalizers');
+const {
+  getStatusChain,
+  getFinalLocation
+} = require('../utils/http-response');
+const {
+  SEVERITIES,
+  isSeverity
+} = require('../checks/severity');
+const { SITEMAP_STATUS }            = require('../sources/sitemap-status');
 
 /**
  * This class implements a Record transformer that compares a
@@ -12,9 +26,36 @@ class CompareTransformer extends AbstractRecordTransformer {
    *
    * @param {logger} logger An instance of a logger.
    * @param {Object} config configuration parameters to use for this instance.
+   * @param {Object} config.urlNormalization The configuration for normalizing URL-valued metadata. See UrlNormalizer.
+   * @param {Object} config.dctermsTypeMap A map of source dcterms.type values to the values expected on the destination.
+   * @param {Array} config.checks The check definitions to run on web pages. See SelectorCheck. Defaults to DEFAULT_CHECKS.
+   * @param {Array} config.additionalChecks Check definitions to run in addition to checks.
+   * @param {Array} config.checkModules Check modules to load, each an object with a module path and its config.
+   * @param {Array} config.searchPaths The paths check modules are resolved against. Defaults to the application root.
+   * @param {Object} config.severities Severities (error, warning or info) keyed by check, overriding the check's own severity.
    */
-  constructor(logger) {
+  constructor(logger, {
+    urlNormalization = {},
+    dctermsTypeMap = {},
+    checks = DEFAULT_CHECKS,
+    additionalChecks = [],
+    checkModules = [],
+    searchPaths = [ path.join(__dirname, '../..') ],
+    severities = {}
+  } = {}) {
     super(logger);
+
+    const normalizers = createNormalizers({
+      urlNormalizer: new UrlNormalizer(urlNormalization),
+      dctermsTypeMap
+    });
+
+    this.checks = [ ...checks, ...additionalChecks ]
+                    .map(definition => new SelectorCheck(definition, normalizers));
+
+    this.checkModules = checkModules;
+    this.searchPaths = searchPaths;
+    this.severities = severities;
   }
 
   /**
@@ -23,114 +64,197 @@ class CompareTransformer extends AbstractRecordTransformer {
    * @returns the transformed object
    */
   async transform(data) {
-    // Data will be an object that either has Errors, a Webpage or a file.
+    // Data will be an object that either has Errors, a Webpage, a file or non-200 responses.
     if (data['errorStep']) {
       return this.processFetchError(data);
     } else if (data['resourceType'] === 'FILE') {
       return this.compareFileHeaders(data);
     } else if (data['resourceType'] === 'WEBPAGE') {
       return this.compareWebPage(data);
+    } else if (data['resourceType'] === 'HTTP_RESPONSE') {
+      return this.compareHttpResponse(data);
     }
   }
 
+  /**
+   * Passes on a path that could not be fetched, with the sitemap issues
+   * that do not depend on the fetched information.
+   * @param {Object} data the step that failed and its errors
+   */
   processFetchError(data) {
-    return data;
+    return {
+      ...data,
+      errs: this.compareSitemapStatus(data).map(issue => this.applySeverity(issue))
+    };
   }
 
-  compareFileHeaders(data) {
-    return data;
+  /**
+   * Compares the responses of a path that did not end in a 200 on one
+   * or both hosts.
+   * @param {Object} data the fetched responses
+   */
+  compareHttpResponse(data) {
+    return {
+      path: data.path,
+      destinationPath: data.destinationPath,
+      resourceType: 'HTTP_RESPONSE',
+      sourceInfo: data.sourceInfo,
+      attempts: data.attempts,
+      errs: [
+              ...this.compareSitemapStatus(data),
+              ...this.compareResponses(data)
+            ].map(issue => this.applySeverity(issue))
+    };
   }
 
-  compareWebPage(data) {
-    const sourceDoc = new JSDOM(data.sourceContent);
-    const destinationDoc = new JSDOM(data.destinationContent);
-
-    // Setup an array of functions to be called.
-
-    // Setup basic meta tag checks
-    const basicMetaNameChecks = [
-      "description",
-      "content-language",
-      "dcterms.coverage",
-      "dcterms.subject",
-      "dcterms.isPartOf",
-      "dcterms.issued",
-      "english-linking-policy",
-      "espanol-linking-policy",
-      //dcterms.type is special,
-      "twitter:card"
-    ].map(metaName => this.webpageCompareMetatag.bind(this, 'name', metaName));
-
-    const basicMetaPropChecks = [
-      "og:title",
-      "og:description",
-      "og:type",
-      "og:site_name",
-      "og:url",
-      "og:image"
-      // og:image is special,
-    ].map(metaName => this.webpageCompareMetatag.bind(this, 'property', metaName));
+  /**
+   * Reports a path that is only in one of the hosts' sitemaps, when
+   * the sitemaps were compared.
+   * @param {Object} data the fetched information
+   * @returns {Array} an array of issues
+   */
+  compareSitemapStatus({ path, destinationPath = path, sourceInfo = {} }) {
+    switch (sourceInfo.sitemapStatus) {
+      case SITEMAP_STATUS.SOURCE_ONLY:
+        return [{
+          check: "SITEMAP_COMPARE_NOT_MIGRATED",
+          source: path,
+          destination: "VALUE_NOT_FOUND"
+        }];
+      case SITEMAP_STATUS.DESTINATION_ONLY:
+        return [{
+          check: "SITEMAP_COMPARE_UNEXPECTED",
+          source: "VALUE_NOT_FOUND",
+          destination: destinationPath
+        }];
+      default:
+        return [];
+    }
+  }
 
-    const checks = [
-      this.webpageCompareTitle,
-      ...basicMetaNameChecks,
-      ...basicMetaPropChecks
-    ];
+  /**
+   * Compares the status codes and redirects of both hosts, reporting a
+   * different final status, different redirects, or redirects that end
+   * on a different path.
+   * @param {Object} data the fetched information
+   * @param {Object} data.sourceResponse the response of the source host
+   * @param {Object} data.destinationResponse the response of the destination host
+   * @param {string} data.expectedFinalLocation where the destination should end up, when the source path is mapped
+   * @returns {Array} an array of issues
+   */
+  compareResponses({ sourceResponse, destinationResponse, expectedFinalLocation }) {
+    // Records fetched without recording the responses.
+    if (!sourceResponse || !destinationResponse) {
+      return [];
+    }
 
-    // Apply the functions to the docs and get the resulting errors.
-    const testResults = checks.reduce(
-      (errsToDate, checkFn) => {
-        const errs = checkFn(sourceDoc, destinationDoc);
-        return [
-          ...errsToDate,
-          ...errs
-        ];
-      }, []
-    );
+    const issues = [];
 
-    // Setup the return.
-    const rtnObj = {
-      path: data.path,
-      resourceType: 'WEBPAGE',
-      errs: testResults
-    };
+    const sourceStatuses = getStatusChain(sourceResponse);
+    const destinationStatuses = getStatusChain(destinationResponse);
 
-    return rtnObj;
+    if (sourceResponse.status !== destinationResponse.status) {
+      issues.push({
+        check: "HTTP_COMPARE_STATUS",
+        source: sourceStatuses,
+        destination: destinationStatuses
+      });
+    } else if (sourceStatuses !== destinationStatuses) {
+      issues.push({
+        check: "HTTP_COMPARE_REDIRECT",
+        source: sourceStatuses,
+        destination: destinationStatuses
+      });
+    }
+
+    if (sourceResponse.redirects.length || destinationResponse.redirects.length) {
+      const sourceLocation = getFinalLocation(sourceResponse);
+      const destinationLocation = getFinalLocation(destinationResponse);
+      if ((expectedFinalLocation || sourceLocation) !== destinationLocation) {
+        issues.push({
+          check: "HTTP_COMPARE_FINAL_PATH",
+          source: sourceLocation,
+          destination: destinationLocation
+        });
+      }
+    }
+
+    return issues;
   }
 
-  webpageCompareTitle(sourceDoc, destinationDoc) {
-    const sourceTitle = sourceDoc.window.document.title;
-    const destTitle = destinationDoc.window.document.title;
-    if (sourceTitle !== destTitle) {
-      return [{
-        check: "WEBPAGE_COMPARE_TITLE",
-        source: sourceTitle,
-        destination: destTitle
-      }];
-    } else {
-      return [];
+  /**
+   * Compares the headers, and the content hashes if they were fetched,
+   * of a file on both hosts.
+   * @param {Object} data the fetched file information
+   */
+  compareFileHeaders(data) {
+    const { sourceHeaders, destinationHeaders } = data;
+
+    const checks = [
+      this.compareSitemapStatus(data),
+      this.compareResponses(data),
+      this.compareHeaderValue('content-type', sourceHeaders, destinationHeaders, {
+        check: "FILE_COMPARE_CONTENT_TYPE",
+        normalize: value => value.toLowerCase().replace(/\s+/g, '')
+      }),
+      this.compareHeaderValue('content-length', sourceHeaders, destinationHeaders, {
+        check: "FILE_COMPARE_CONTENT_LENGTH"
+      }),
+      this.compareHeaderValue('content-disposition', sourceHeaders, destinationHeaders, {
+        check: "FILE_COMPARE_FILENAME",
+        normalize: value => this.getDispositionFilename(value)
+      }),
+      this.compareHeaderValue('last-modified', sourceHeaders, destinationHeaders, {
+        check: "FILE_COMPARE_LAST_MODIFIED",
+        normalize: value => {
+          const time = Date.parse(value);
+          return isNaN(time) ? value : new Date(time).toISOString();
+        }
+      })
+    ];
+
+    if (data.sourceHash && data.destinationHash && data.sourceHash !== data.destinationHash) {
+      checks.push([{
+        check: "FILE_COMPARE_CONTENT_HASH",
+        source: data.sourceHash,
+        destination: data.destinationHash
+      }]);
     }
+
+    return {
+      path: data.path,
+      destinationPath: data.destinationPath,
+      resourceType: 'FILE',
+      sourceInfo: data.sourceInfo,
+      attempts: data.attempts,
+      errs: checks
+              .reduce((errs, checkErrs) => [ ...errs, ...checkErrs ], [])
+              .map(issue => this.applySeverity(issue))
+    };
   }
 
   /**
-   * Compares a metatag between two JSDom objects
-   * @param {String} attr The attribute name (e.g. 'name' or 'prop')
-   * @param {String} name The value of the attr
-   * @param {*} sourceDoc The source doc
-   * @param {*} destinationDoc The destination document
+   * Compares a single header between the source and destination.
+   * @param {String} header the (lowercase) name of the header
+   * @param {Object} sourceHeaders the source headers
+   * @param {Object} destinationHeaders the destination headers
+   * @param {Object} options the options for the comparison
+   * @param {String} options.check the name of the check to report
+   * @param {Function} options.normalize a function to normalize the values before comparing
    */
-  webpageCompareMetatag(attr, name, sourceDoc, destinationDoc) {
-    const sourceElem = sourceDoc.window.document
-                  .head.querySelector(`[${attr}~="${name}"][content]`);
-    const sourceData = sourceElem ? sourceElem.content : "VALUE_NOT_FOUND";
+  compareHeaderValue(header, sourceHeaders, destinationHeaders, {
+    check,
+    normalize = value => value
+  }) {
+    const sourceValue = sourceHeaders[header];
+    const destinationValue = destinationHeaders[header];
 
-    const destinationElem = destinationDoc.window.document
-                  .head.querySelector(`[${attr}~="${name}"][content]`);
-    const destinationData = destinationElem ? destinationElem.content : "VALUE_NOT_FOUND";
+    const sourceData = sourceValue !== undefined ? normalize(String(sourceValue)) : "VALUE_NOT_FOUND";
+    const destinationData = destinationValue !== undefined ? normalize(String(destinationValue)) : "VALUE_NOT_FOUND";
 
     if (sourceData !== destinationData) {
       return [{
-        check: "WEBPAGE_COMPARE_META_" + name,
+        check,
         source: sourceData,
         destination: destinationData
       }];
@@ -139,12 +263,134 @@ class CompareTransformer extends AbstractRecordTransformer {
     }
   }
 
+  /**
+   * Sets the severity of an issue. The severities config takes precedence,
+   * then the severity the issue was reported with, then the check's.
+   * @param {Object} issue the issue
+   * @param {String} checkSeverity the severity of the check that reported the issue
+   * @returns {Object} the issue with its severity
+   */
+  applySeverity(issue, checkSeverity = SEVERITIES.ERROR) {
+    const severity = this.severities[issue.check] || issue.severity || checkSeverity;
+    return {
+      ...issue,
+      severity
+    };
+  }
+
+  /**
+   * Gets the filename from a Content-Disposition header value.
+   * @param {String} disposition the header value
+   * @returns {String} the filename, or the disposition type if there is none.
+   */
+  getDispositionFilename(disposition) {
+    // RFC 5987 extended value, e.g. filename*=UTF-8''my%20file.pdf
+    const extMatch = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(disposition);
+    if (extMatch) {
+      try {
+        return decodeURIComponent(extMatch[2].trim());
+      } catch (err) {
+        return extMatch[2].trim();
+      }
+    }
+
+    const match = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(disposition);
+    if (match) {
+      return (match[2] !== undefined ? match[2] : match[1]).trim();
+    }
+
+    return disposition.split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Runs the configured checks against a web page.
+   * @param {Object} data the fetched page information
+   */
+  compareWebPage(data) {
+    const page = {
+      path: data.path,
+      destinationPath: data.destinationPath || data.path,
+      sourceDoc: new JSDOM(data.sourceContent),
+      destinationDoc: new JSDOM(data.destinationContent),
+      sourceHeaders: data.sourceHeaders,
+      destinationHeaders: data.destinationHeaders
+    };
+
+    const responseResults = [
+      ...this.compareSitemapStatus(data),
+      ...this.compareResponses(data)
+    ].map(issue => this.applySeverity(issue));
+
+    // Apply the checks to the docs and get the resulting errors.
+    const testResults = this.checks
+      .filter(check => check.appliesTo(page.path))
+      .reduce(
+        (errsToDate, check) => {
+          const errs = check.check(page)
+                        .map(issue => this.applySeverity(issue, check.severity));
+          return [
+            ...errsToDate,
+            ...errs
+          ];
+        }, responseResults
+      );
+
+    // Setup the return.
+    const rtnObj = {
+      path: data.path,
+      destinationPath: data.destinationPath,
+      resourceType: 'WEBPAGE',
+      sourceInfo: data.sourceInfo,
+      attempts: data.attempts,
+      errs: testResults
+    };
+
+    return rtnObj;
+  }
+
+  /**
+   * Resolves and loads a check module from the search paths.
+   * @param {string} modulePath the path of the module, relative to a search path, or a package name
+   * @returns {*} the module
+   */
+  loadCheckModule(modulePath) {
+    const candidates = [
+      ...this.searchPaths.map(searchPath => path.resolve(searchPath, modulePath)),
+      modulePath
+    ];
+
+    for (const candidate of candidates) {
+      let resolved;
+      try {
+        resolved = require.resolve(candidate);
+      } catch (err) {
+        continue;
+      }
+      return require(resolved);
+    }
+
+    throw new Error(`Could not find check module ${modulePath} in ${this.searchPaths.join(', ')}`);
+  }
 
   /**
    * Called before any resources are transformed -- load mappers and anything else here.
    */
   async begin() {
-    return;
+    for (const { module: modulePath, config = {} } of this.checkModules) {
+      const CheckModule = this.loadCheckModule(modulePath);
+
+      if (typeof CheckModule.ValidateConfig === 'function') {
+        const errors = CheckModule.ValidateConfig(config);
+        if (errors.length > 0) {
+          errors.forEach(err => this.logger.error(`${modulePath}: ${err.message}`));
+          throw new Error(`Invalid configuration for check module ${modulePath}`);
+        }
+      }
+
+      const check = await CheckModule.GetInstance(this.logger, config);
+      this.checks.push(check);
+      this.logger.debug(`Loaded check module ${modulePath}`);
+    }
   }
 
   /**
@@ -164,10 +410,42 @@ class CompareTransformer extends AbstractRecordTransformer {
   /**
    * A static method to validate a configuration object against this module type's schema
    * @param {Object} config configuration parameters to use for this instance.
+   * @param {Array} config.checks The check definitions to run on web pages.
+   * @param {Array} config.additionalChecks Check definitions to run in addition to checks.
+   * @param {Array} config.checkModules Check modules to load.
    */
   static ValidateConfig(config) {
     let errors = [];
 
+    [ "checks", "additionalChecks" ].forEach(key => {
+      if (config[key] === undefined) {
+        return;
+      }
+      if (!Array.isArray(config[key])) {
+        errors.push(new Error(`${key} must be an array`));
+        return;
+      }
+      config[key].forEach(definition => {
+        errors.push(...SelectorCheck.ValidateDefinition(definition));
+      });
+    });
+
+    if (config.severities !== undefined) {
+      Object.keys(config.severities)
+        .filter(check => !isSeverity(config.severities[check]))
+        .forEach(check => errors.push(new Error(`Unknown severity ${config.severities[check]} for check ${check}`)));
+    }
+
+    if (config.checkModules !== undefined) {
+      if (!Array.isArray(config.checkModules)) {
+        errors.push(new Error("checkModules must be an array"));
+      } else {
+        config.checkModules
+          .filter(entry => !entry || !entry.module)
+          .forEach(() => errors.push(new Error("You must supply a module for each of the checkModules")));
+      }
+    }
+
     return errors;
   }
 
@@ -1,8 +1,17 @@
-const axios                         = require('axios');
-const path                          = require('path');
-const { HttpsAgent }                = require('agentkeepalive');
+const crypto                        = require('crypto');
+const { URL }                       = require('url');
 const { AbstractRecordTransformer } = require('loader-pipeline');
 const AxiosCacheableWebRequestor    = require('../axios-cacheable-web-requestor');
+const RetryPolicy                   = require('../retry-policy');
+const {
+  PathMapper,
+  loadPathMapCsv
+} = require('../path-mapper');
+const {
+  getStatusChain,
+  getFinalLocation,
+  isHtml
+} = require('../utils/http-response');
 
 /**
  * This class implements a Record transformer that fetches a page
@@ -19,10 +28,23 @@ class FetchTransformer extends AbstractRecordTransformer {
    * @param {Object} config configuration parameters to use for this instance.
    * @param {string} config.sourceHost The migration source host
    * @param {string} config.destinationHost The migration destination host
+   * @param {boolean} config.compareFileContents Download files from both hosts and hash their contents
+   * @param {Object} config.pathMapping Maps source paths to different destination paths. See PathMapper.
+   * @param {string} config.pathMapping.csvPath A CSV file of source and destination paths to add to the exact mappings.
+   * @param {int} config.requestsPerHost The most requests open at once to each host. Used by GetInstance.
+   * @param {Number} config.requestsPerSecond The most requests started each second to each host, 0 for no limit. Used by GetInstance.
+   * @param {Object} config.sourceLimits { requestsPerHost, requestsPerSecond, burst } for the source host. Used by GetInstance.
+   * @param {Object} config.destinationLimits { requestsPerHost, requestsPerSecond, burst } for the destination host. Used by GetInstance.
+   * @param {Object} config.retry When and how often to retry failed requests. See RetryPolicy. Used by GetInstance.
+   * @param {int} config.requestTimeout The milliseconds to wait for a response before a request fails. Used by GetInstance.
+   * @param {string} config.cachePath The folder to cache responses in. Defaults to the html-cache folder of the application. Used by GetInstance.
+   * @param {int} config.cacheDuration The milliseconds a cached response is used for. Used by GetInstance.
    */
   constructor(logger, requestor, {
     sourceHost = false,
-    destinationHost = false
+    destinationHost = false,
+    compareFileContents = false,
+    pathMapping = {}
   } = {}) {
     super(logger);
 
@@ -35,6 +57,9 @@ class FetchTransformer extends AbstractRecordTransformer {
 
     this.sourceHost = sourceHost;
     this.destinationHost = destinationHost;
+    this.compareFileContents = compareFileContents;
+    this.pathMapper = new PathMapper(pathMapping);
+    this.pathMapCsvPath = pathMapping.csvPath;
 
     this.requestor = requestor;
   }
@@ -42,55 +67,92 @@ class FetchTransformer extends AbstractRecordTransformer {
 
   /**
    * Transforms the resource
-   * @param {Object} data the object to be transformed
-   * @returns the transformed object
+   * @param {string|Object} data the path to fetch, or a record with the path and
+   * information about it from the source, e.g. { path, lastmod, priority } from a sitemap.
+   * A record's destinationPath, if any, is used instead of the path mapping.
+   * @returns the transformed object, with the source's information as sourceInfo and
+   * the number of requests made to each host as attempts, { source, destination }
    */
-  async transform(path) {
+  async transform(data) {
+    const {
+      path,
+      destinationPath = this.pathMapper.map(path),
+      ...sourceInfo
+    } = (typeof data === 'string') ? { path: data } : data;
+
+    const attempts = { source: 0, destination: 0 };
+    const record = await this.fetchPath(path, destinationPath, attempts);
+
+    return {
+      ...record,
+      attempts,
+      sourceInfo
+    };
+  }
+
+  /**
+   * Fetches a path from both hosts.
+   * @param {string} path the path on the source host
+   * @param {string} destinationPath the path on the destination host
+   * @param {Object} attempts the requests made to each host, { source, destination }, counted
+   * for the responses and for any request that failed, so retries of flaky hosts are seen.
+   * @returns the fetched information, or the step that failed and its errors
+   */
+  async fetchPath(path, destinationPath, attempts) {
 
     const sourceUrl = this.sourceHost + path;
-    const destinationUrl = this.destinationHost + path;
+    const destinationUrl = this.destinationHost + destinationPath;
 
-    let sourceHeaders;
-    let destinationHeaders;
+    let sourceResponse;
+    let destinationResponse;
     let errors = [];
 
     try {
-      sourceHeaders = await this.requestor.getHeaders(sourceUrl);
+      sourceResponse = await this.requestor.getResponse(sourceUrl);
+      attempts.source += sourceResponse.attempts;
     } catch (err) {
+      attempts.source += err.attempts || 0;
       errors.push(err);
     }
 
     try {
-      destinationHeaders = await this.requestor.getHeaders(destinationUrl);
+      destinationResponse = await this.requestor.getResponse(destinationUrl);
+      attempts.destination += destinationResponse.attempts;
     } catch (err) {
+      attempts.destination += err.attempts || 0;
       errors.push(err);
     }
 
-    if (!sourceHeaders) {
-      errors.push(new Error("Source was a non-200 status"));
-    }
-
-    if (!destinationHeaders) {
-      errors.push(new Error("Destination was a non-200 status"));
-    }
-
     // Error fetching, return failure.
     if (errors.length > 0) {
       return {
         path,
+        destinationPath,
         errorStep: 'FETCH_HEADERS',
         fetchErrors: errors
       };
     }
 
+    const responses = {
+      sourceResponse,
+      destinationResponse,
+      expectedFinalLocation: this.getExpectedFinalLocation(sourceResponse)
+    };
+
+    if (sourceResponse.status !== 200 || destinationResponse.status !== 200) {
+      return this.getStatusRecord(path, destinationPath, responses);
+    }
+
+    // The headers of the pages the redirects, if any, ended on.
+    const sourceHeaders = sourceResponse.headers;
+    const destinationHeaders = destinationResponse.headers;
+
     // This is a file. (Assume source and dest are same mime type)
-    const contentType = sourceHeaders['content-type'];
-    if (!contentType || !contentType.startsWith('text/html;')) {
+    if (!isHtml(sourceHeaders)) {
       return {
-        path,
-        resourceType: 'FILE',
-        sourceHeaders,
-        destinationHeaders
+        ...await this.fetchFile(path, sourceUrl, destinationUrl, sourceHeaders, destinationHeaders, attempts),
+        destinationPath,
+        ...responses
       };
     }
 
@@ -100,12 +162,14 @@ class FetchTransformer extends AbstractRecordTransformer {
     try {
       sourceContent = await this.requestor.getContents(sourceUrl);
     } catch (err) {
+      attempts.source += err.attempts || 0;
       errors.push(err);
     }
 
     try {
       destinationContent = await this.requestor.getContents(destinationUrl);
     } catch (err) {
+      attempts.destination += err.attempts || 0;
       errors.push(err);
     }
 
@@ -113,6 +177,7 @@ class FetchTransformer extends AbstractRecordTransformer {
     if (errors.length > 0) {
       return {
         path,
+        destinationPath,
         errorStep: 'FETCH_CONTENT',
         fetchErrors: errors
       };
@@ -121,19 +186,146 @@ class FetchTransformer extends AbstractRecordTransformer {
     // Return an object with all the information for a comparison.
     return {
       path,
+      destinationPath,
       resourceType: 'WEBPAGE',
       sourceHeaders,
       destinationHeaders,
       sourceContent,
       destinationContent,
+      ...responses
     }
   }
 
+  /**
+   * Gets where the destination should end up if the source redirects,
+   * i.e. the source's final path mapped to its destination path.
+   *
+   * @param {Object} sourceResponse the response of the source host
+   * @returns {string} the expected final location, or undefined if the source does not redirect
+   */
+  getExpectedFinalLocation(sourceResponse) {
+    if (!sourceResponse.redirects.length) {
+      return undefined;
+    }
+
+    const location = getFinalLocation(sourceResponse);
+
+    // Redirects off the source host are expected to be the same on the destination.
+    return location.startsWith('/') ? this.pathMapper.map(location) : location;
+  }
+
+  /**
+   * Gets the record for a path that did not end in a 200 on one or both
+   * hosts. When the hosts responded the same way there is nothing to compare,
+   * so this is a fetch error, otherwise the responses are passed on to be compared.
+   *
+   * @param {string} path the path of the resource on the source host
+   * @param {string} destinationPath the path of the resource on the destination host
+   * @param {Object} responses the responses of both hosts, and the expected final location
+   */
+  getStatusRecord(path, destinationPath, responses) {
+    const { sourceResponse, destinationResponse } = responses;
+
+    const sourceStatuses = getStatusChain(sourceResponse);
+    const destinationStatuses = getStatusChain(destinationResponse);
+
+    if (sourceStatuses === destinationStatuses) {
+      return {
+        path,
+        destinationPath,
+        errorStep: 'FETCH_STATUS',
+        fetchErrors: [
+          new Error(`Source returned ${sourceStatuses}`),
+          new Error(`Destination returned ${destinationStatuses}`)
+        ]
+      };
+    }
+
+    return {
+      path,
+      destinationPath,
+      resourceType: 'HTTP_RESPONSE',
+      ...responses
+    };
+  }
+
+  /**
+   * Gets the record for a file, downloading and hashing the contents from
+   * both hosts if compareFileContents is enabled.
+   *
+   * @param {string} path the path of the file
+   * @param {string} sourceUrl the URL of the file on the source host
+   * @param {string} destinationUrl the URL of the file on the destination host
+   * @param {Object} sourceHeaders the headers of the source file
+   * @param {Object} destinationHeaders the headers of the destination file
+   * @param {Object} attempts the requests made to each host, { source, destination }
+   */
+  async fetchFile(path, sourceUrl, destinationUrl, sourceHeaders, destinationHeaders, attempts) {
+    const record = {
+      path,
+      resourceType: 'FILE',
+      sourceHeaders,
+      destinationHeaders
+    };
+
+    if (!this.compareFileContents) {
+      return record;
+    }
+
+    let errors = [];
+    let sourceContent;
+    let destinationContent;
+
+    try {
+      sourceContent = await this.requestor.getBinaryContents(sourceUrl);
+    } catch (err) {
+      attempts.source += err.attempts || 0;
+      errors.push(err);
+    }
+
+    try {
+      destinationContent = await this.requestor.getBinaryContents(destinationUrl);
+    } catch (err) {
+      attempts.destination += err.attempts || 0;
+      errors.push(err);
+    }
+
+    if (!sourceContent) {
+      errors.push(new Error("Could not download the source file"));
+    }
+
+    if (!destinationContent) {
+      errors.push(new Error("Could not download the destination file"));
+    }
+
+    // Error fetching, return failure.
+    if (errors.length > 0) {
+      return {
+        path,
+        errorStep: 'FETCH_FILE',
+        fetchErrors: errors
+      };
+    }
+
+    return {
+      ...record,
+      sourceHash: crypto.createHash('sha256').update(sourceContent).digest('hex'),
+      destinationHash: crypto.createHash('sha256').update(destinationContent).digest('hex')
+    };
+  }
+
   /**
    * Called before any resources are transformed -- load mappers and anything else here.
    */
   async begin() {
-      return;
+    if (this.pathMapCsvPath) {
+      try {
+        this.pathMapper.addPaths(await loadPathMapCsv(this.pathMapCsvPath));
+      } catch (err) {
+        this.logger.error(`Could not load path mappings ${this.pathMapCsvPath}`);
+        throw err;
+      }
+    }
   }
 
   /**
@@ -155,6 +347,13 @@ class FetchTransformer extends AbstractRecordTransformer {
    * @param {Object} config configuration parameters to use for this instance.
    * @param {string} config.sourceHost The migration source host
    * @param {string} config.destinationHost The migration destination host
+   * @param {int} config.requestsPerHost The most requests open at once to each host
+   * @param {Number} config.requestsPerSecond The most requests started each second to each host
+   * @param {Object} config.sourceLimits The limits for the source host
+   * @param {Object} config.destinationLimits The limits for the destination host
+   * @param {Object} config.retry The retry policy
+   * @param {int} config.requestTimeout The milliseconds to wait for a response
+   * @param {int} config.cacheDuration The milliseconds a cached response is used for
    */
   static ValidateConfig(config) {
     let errors = [];
@@ -166,35 +365,97 @@ class FetchTransformer extends AbstractRecordTransformer {
       errors.push(new Error("You must supply a destinatonHost"));
     }
 
+    if (config.pathMapping !== undefined) {
+      errors.push(...PathMapper.ValidateConfig(config.pathMapping));
+    }
+
+    errors.push(...FetchTransformer.ValidateLimits(config, ''));
+    [ 'sourceLimits', 'destinationLimits' ].forEach(key => {
+      if (config[key] !== undefined) {
+        errors.push(...FetchTransformer.ValidateLimits(config[key], `${key}.`));
+      }
+    });
+
+    if (config.retry !== undefined) {
+      errors.push(...RetryPolicy.ValidateConfig(config.retry));
+    }
+
+    [ 'requestTimeout', 'cacheDuration' ].forEach(key => {
+      if (config[key] !== undefined && (!Number.isInteger(config[key]) || config[key] < 0)) {
+        errors.push(new Error(`${key} must be a whole number of milliseconds`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validates request limits.
+   * @param {Object} limits { requestsPerHost, requestsPerSecond, burst }
+   * @param {string} prefix the prefix of the keys in error messages
+   * @returns {Array} an array of errors
+   */
+  static ValidateLimits(limits, prefix) {
+    let errors = [];
+
+    [ 'requestsPerHost', 'burst' ].forEach(key => {
+      if (limits[key] !== undefined && (!Number.isInteger(limits[key]) || limits[key] < 1)) {
+        errors.push(new Error(`${prefix}${key} must be a whole number of at least 1`));
+      }
+    });
+
+    if (limits.requestsPerSecond !== undefined && (typeof limits.requestsPerSecond !== 'number' || limits.requestsPerSecond < 0)) {
+      errors.push(new Error(`${prefix}requestsPerSecond must be a number of at least 0`));
+    }
+
     return errors;
   }
 
   /**
    * A static helper function to get a configured source instance
    * @param {Object} logger the logger to use
-   * @param {Object} config configuration parameters to use for this instance.
+   * @param {Object} config configuration parameters to use for this instance. See FetchTransformer constructor.
    */
   static async GetInstance(logger, config) {
     if (!config) {
       throw new Error("Config must be supplied");
     }
 
-    //TODO: Find a better way to manage the agent so there can be one agent per
-    //application.  (and thus one pool of sockets)
-    const agent = new HttpsAgent({
-      maxSockets: 40
-    });
-
-    //Get instance of axios with our custom https agent
-    const axiosInstance = axios.create({
-      httpsAgent: agent
-    });
+    const {
+      sourceHost,
+      destinationHost,
+      requestsPerHost,
+      requestsPerSecond,
+      sourceLimits = {},
+      destinationLimits = {},
+      retry,
+      requestTimeout,
+      cachePath,
+      cacheDuration
+    } = config;
+
+    // Hosts are keyed by name and port, as the requestor sees them.
+    const hostLimits = {};
+    if (sourceHost) {
+      hostLimits[new URL(sourceHost).host] = sourceLimits;
+    }
+    if (destinationHost) {
+      hostLimits[new URL(destinationHost).host] = {
+        ...hostLimits[new URL(destinationHost).host],
+        ...destinationLimits
+      };
+    }
 
-    const requestor = new AxiosCacheableWebRequestor(logger, axiosInstance, {
-      cachePath: path.join(__dirname, "../../html-cache")
+    const requestor = await AxiosCacheableWebRequestor.GetInstance(logger, {
+      requestsPerHost,
+      requestsPerSecond,
+      hostLimits,
+      retry,
+      requestTimeout,
+      cachePath,
+      cacheDuration
     });
 
-
     return new FetchTransformer(logger, requestor, config);
   }
 }
@@ -0,0 +1,75 @@
+const { URL }         = require('url');
+
+/**
+ * Class used to normalize URLs from the source and destination
+ * sites so they can be compared, e.g. rewriting host aliases to
+ * a single host and removing image derivative parameters.
+ */
+class UrlNormalizer {
+
+  /**
+   * Creates a new instance of a UrlNormalizer
+   *
+   * @param {Object} config configuration parameters to use for this instance.
+   * @param {string} config.canonicalHost The host (with protocol) that aliases are rewritten to, and relative URLs are resolved against.
+   * @param {Array} config.hostAliases Hostnames that are rewritten to the canonical host.
+   * @param {boolean} config.ignoreQueryString Remove the query string from URLs.
+   * @param {Array} config.ignoreQueryParams Query string parameters to remove from URLs.
+   * @param {Array} config.ignorePathPatterns An array of regexes to remove from URL paths.
+   */
+  constructor({
+    canonicalHost = 'http://localhost',
+    hostAliases = [],
+    ignoreQueryString = false,
+    ignoreQueryParams = [],
+    ignorePathPatterns = []
+  } = {}) {
+    this.canonicalUrl = new URL(canonicalHost);
+    this.hostAliases = new Set(
+      [ ...hostAliases, this.canonicalUrl.hostname ].map(host => host.toLowerCase())
+    );
+    this.ignoreQueryString = ignoreQueryString;
+    this.ignoreQueryParams = ignoreQueryParams;
+    this.ignorePathPatterns = ignorePathPatterns.map(regex => new RegExp(regex, 'g'));
+  }
+
+  /**
+   * Normalizes a URL. Values that are not URLs are returned as is.
+   *
+   * @param {String} value the URL to normalize
+   * @param {String} pagePath the path of the page the URL came from, used to resolve relative URLs.
+   * @returns {String} the normalized URL
+   */
+  normalize(value, pagePath = '/') {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return value;
+    }
+
+    let url;
+    try {
+      url = new URL(value.trim(), new URL(pagePath, this.canonicalUrl));
+    } catch (err) {
+      return value;
+    }
+
+    if (this.hostAliases.has(url.hostname.toLowerCase())) {
+      url.protocol = this.canonicalUrl.protocol;
+      url.host = this.canonicalUrl.host;
+    }
+
+    url.pathname = this.ignorePathPatterns.reduce(
+      (pathname, regex) => pathname.replace(regex, ''),
+      url.pathname
+    ) || '/';
+
+    if (this.ignoreQueryString) {
+      url.search = '';
+    } else {
+      this.ignoreQueryParams.forEach(param => url.searchParams.delete(param));
+    }
+
+    return url.href;
+  }
+}
+
+module.exports = UrlNormalizer;
@@ -0,0 +1,92 @@
+
+/**
+ * Escapes a single value for use in a CSV file.
+ *
+ * Values containing commas, quotes or line breaks are wrapped
+ * in quotes, with any quotes doubled.
+ *
+ * @param {*} value the value to escape
+ * @returns {String} the escaped value
+ */
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  const str = String(value);
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+}
+
+/**
+ * Formats an array of values as a single CSV line (including the newline).
+ *
+ * @param {Array} values the values for the row
+ * @returns {String} the CSV line
+ */
+function formatCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\n';
+}
+
+/**
+ * Parses CSV text into rows of values.
+ *
+ * Quoted values may contain commas, doubled quotes and line breaks.
+ * Blank lines are skipped.
+ *
+ * @param {String} text the CSV text
+ * @returns {Array} an array of rows, each an array of strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      value += char;
+    }
+  }
+
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  escapeCsvValue,
+  formatCsvRow,
+  parseCsv
+};
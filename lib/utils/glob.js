@@ -0,0 +1,36 @@
+
+/**
+ * Converts a glob pattern into a regular expression matching the whole string.
+ *
+ * `**` matches any characters, `*` matches any characters except a slash
+ * and `?` matches a single character other than a slash.
+ *
+ * @param {String} glob the glob pattern
+ * @returns {RegExp} the regular expression
+ */
+function globToRegExp(glob) {
+  let regex = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        regex += '.*';
+        i++;
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+module.exports = {
+  globToRegExp
+};
@@ -0,0 +1,45 @@
+const { URL } = require('url');
+
+/**
+ * Gets the statuses of a response and its redirects, e.g. "301→404".
+ *
+ * @param {Object} response the response, see AbstractCacheableWebRequestor.getResponse
+ * @returns {String} the statuses
+ */
+function getStatusChain(response) {
+  return [ ...response.redirects.map(redirect => redirect.status), response.status ].join('→');
+}
+
+/**
+ * Gets where a response ended up after its redirects: the path and query
+ * when it stayed on the requested host, otherwise the full URL.
+ *
+ * @param {Object} response the response, see AbstractCacheableWebRequestor.getResponse
+ * @returns {String} the final location
+ */
+function getFinalLocation(response) {
+  const requested = new URL(response.url);
+  const final = new URL(response.finalUrl);
+
+  return (final.origin === requested.origin) ?
+          final.pathname + final.search :
+          final.href;
+}
+
+/**
+ * Determines if a response is a web page, from its content type with or
+ * without parameters such as the charset.
+ *
+ * @param {Object} headers the headers of the response
+ * @returns {Boolean} true if the response is HTML
+ */
+function isHtml(headers) {
+  const contentType = headers['content-type'];
+  return !!contentType && /^text\/html\s*(;|$)/i.test(contentType);
+}
+
+module.exports = {
+  getStatusChain,
+  getFinalLocation,
+  isHtml
+};